@@ -448,11 +448,7 @@ class VirusTotalFileTracker {
 
     // Determine file status based on scan results
     determineFileStatus(scanResult) {
-        if (!scanResult) return 'unknown';
-
-        if (scanResult.malicious > 0) return 'malicious';
-        if (scanResult.suspicious > 0) return 'suspicious';
-        return 'clean';
+        return this.mainPlugin.verdictEvaluator.evaluate(scanResult).status;
     }
 
     // Modify tooltip to include add to collection/graph buttons
@@ -547,7 +543,12 @@ class VirusTotalFileTracker {
                 if (!collectionId) return;
 
                 try {
-                    const result = await this.collectionManager.addUrlToCollection(collectionId, fileHash);
+                    // Attachments are added by hash, links by URL
+                    const result = await this.collectionManager.addItemToCollection(
+                        collectionId,
+                        fileHash,
+                        scanResult.fileHash ? 'file' : 'url'
+                    );
                     
                     if (result) {
                         BdApi.showToast(`Added to collection`, { type: "success" });
@@ -1450,871 +1451,7396 @@ class VirusTotalScannerSettingsExtension {
     }
 }
 
-// Main Plugin Class
-module.exports = class VirusTotalScanner {
-    constructor() {
-        this.initialized = false;
-        this.enabled = true;
-        this.debug = false;
-        this.threshold = 5;
-        this.requestQueue = [];
-        this.requestTimes = []; // Track API request timestamps
-        this.processedUrls = new Map(); // Track already processed URLs and their status
-        
-        // VirusTotal free tier rate limits
-        this.RATE_LIMIT = 4; // 4 requests per minute
-        this.TIME_WINDOW = 60000; // 60 seconds in milliseconds
-        
-        // Map to store link-element associations
-        this.linkElements = new Map();
-        
-        // Observer for watching for new links
-        this.linkObserver = null;
-        
-        // List of URL patterns to ignore
-        this.ignoredPatterns = [
-            // Discord assets and media
-            /discord\.com\/assets/,
-            /discord\.com\/channels/,
-            /media\.discordapp\.net/,
-            /cdn\.discordapp\.com\/attachments\/.*\.(png|jpg|jpeg|gif|webp|svg)(\?|$)/i,
-            /images-ext.*\.discordapp\.net/,
-            // Common image formats
-            /\.(png|jpg|jpeg|gif|webp|svg)(\?|$)/i,
-            // Discord invite links
-            /discord\.gg\//,
-            // Local/private IPs
-            /^https?:\/\/(localhost|127\.0\.0\.1|192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.)/
-        ];
+// Result Cache - For persisting scan results between sessions with per-verdict TTLs
+class VirusTotalResultCache {
+    constructor(mainPlugin, storageKey = "scanCache") {
+        this.mainPlugin = mainPlugin;
+        this.storageKey = storageKey;
+        this.entries = new Map();
+        this.sessionKeys = new Set(); // Keys whose verdict has a TTL of 0, kept until Discord closes but never saved
+        this.saveTimer = null;
+        this.SAVE_DELAY = 2000;
     }
 
-    getName() {
-        return "VirusTotalScanner";
+    // Load cached results from local storage, dropping any that have expired
+    load() {
+        const stored = BdApi.getData("VirusTotalScanner", this.storageKey) || {};
+        this.entries.clear();
+        this.sessionKeys.clear();
+
+        for (const [key, entry] of Object.entries(stored)) {
+            if (entry && entry.status && !this.isExpired(entry)) {
+                this.entries.set(key, entry);
+            }
+        }
+
+        // Write back so expired entries don't pile up on disk
+        this.save();
+        return this.entries;
     }
 
-    getDescription() {
-        return "Scans links in Discord messages using VirusTotal API with collection and graph management";
+    // Save cached results to local storage
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const persisted = [...this.entries].filter(([key]) => !this.sessionKeys.has(key));
+        BdApi.saveData("VirusTotalScanner", this.storageKey, Object.fromEntries(persisted));
     }
 
-    getVersion() {
-        return "0.5.0";
+    // Save a little later, so a burst of scans is written to disk once
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), this.SAVE_DELAY);
     }
 
-    getAuthor() {
-        return "YourName";
+    // Write out any save still waiting
+    flush() {
+        if (this.saveTimer) this.save();
     }
 
-    start() {
-        this.log("Starting plugin...");
-        
-        // Initialize components
-        this.settingsExtension = new VirusTotalScannerSettingsExtension(this);
-        this.fileTracker = new VirusTotalFileTracker(this);
-        
-        // Load settings
-        this.loadSettings();
-        
-        if (!this.apiKey) {
-            BdApi.showToast("VirusTotal API Key Required", {
-                type: "error", 
-                timeout: 5000
-            });
-            BdApi.showConfirmationModal(
-                "VirusTotal API Key Required", 
-                "Please set your VirusTotal API key in the plugin settings.",
-                {
-                    confirmText: "Open Settings",
-                    cancelText: "Later",
-                    onConfirm: () => {
-                        BdApi.showConfirmationModal("VirusTotal Scanner Settings", this.getSettingsPanel(), {
-                            confirmText: "Save",
-                            cancelText: "Cancel"
-                        });
-                    }
-                }
-            );
+    // Get the time-to-live in milliseconds for a verdict
+    getTtl(status) {
+        const hours = this.mainPlugin.cacheTtl[status];
+        return (typeof hours === "number" ? hours : 24) * 3600000;
+    }
+
+    // Check whether a cache entry is older than the TTL for its verdict
+    isExpired(entry) {
+        return Date.now() - entry.cachedAt >= this.getTtl(entry.status);
+    }
+
+    // Get a cached entry, or null if there is none or it has expired
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (!this.sessionKeys.has(key) && this.isExpired(entry)) {
+            this.delete(key);
+            return null;
         }
-        
-        // Initialize observer for links
-        this.startLinkObserver();
-        
-        // Add styles
-        this.addStyles();
-        
-        // Start processing queue
-        this.startQueueProcessor();
-        
-        this.initialized = true;
-        this.log("Plugin started");
+
+        return entry;
     }
-    
-    stop() {
-        // Stop the observer
-        if (this.linkObserver) {
-            this.linkObserver.disconnect();
-            this.linkObserver = null;
-            // Also clean up the history listeners if we modified them
-            if (this._originalPushState) {
-                history.pushState = this._originalPushState;
-            }
-            if (this._originalReplaceState) {
-                history.replaceState = this._originalReplaceState;
-            }
+
+    // Store a verdict and its full result - verdicts with a TTL of 0 are only kept for this session
+    set(key, status, result) {
+        this.entries.set(key, {
+            status,
+            result,
+            cachedAt: Date.now()
+        });
+
+        if (this.getTtl(status) <= 0) {
+            this.sessionKeys.add(key);
+        } else {
+            this.sessionKeys.delete(key);
         }
-        
-        // Clear the queue interval
-        if (this.queueInterval) {
-            clearInterval(this.queueInterval);
-            this.queueInterval = null;
+        this.scheduleSave();
+    }
+
+    // Remove a single entry
+    delete(key) {
+        this.sessionKeys.delete(key);
+        if (this.entries.delete(key)) {
+            this.scheduleSave();
         }
-        
-        // Remove styles
-        BdApi.clearCSS("vt-scanner-css");
-        
-        // Clean up any scan buttons
-        document.querySelectorAll('.vt-scan-button').forEach(button => {
-            button.remove();
+    }
+
+    // Remove every entry
+    clear() {
+        this.entries.clear();
+        this.sessionKeys.clear();
+        this.save();
+    }
+
+    // Add cache settings to the plugin settings
+    addCacheSettings(panel) {
+        const cacheSection = document.createElement("div");
+        cacheSection.className = "vt-cache-section";
+        cacheSection.style.marginTop = "20px";
+        cacheSection.style.padding = "10px";
+        cacheSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Scan Result Cache";
+        cacheSection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = "Scan results are kept between restarts so links aren't scanned again. Set how many hours each verdict stays cached (0 keeps that verdict only until Discord restarts).";
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        cacheSection.appendChild(description);
+
+        const verdicts = [
+            { status: "blocklisted", label: "Blocklisted results (hours)" },
+            { status: "malicious", label: "Malicious results (hours)" },
+            { status: "suspicious", label: "Suspicious results (hours)" },
+            { status: "clean", label: "Clean results (hours)" },
+            { status: "unknown", label: "Files unknown to VirusTotal (hours)" }
+        ];
+
+        verdicts.forEach(({ status, label }) => {
+            const ttlGroup = document.createElement("div");
+            ttlGroup.className = "vt-settings-group";
+
+            const ttlLabel = document.createElement("label");
+            ttlLabel.textContent = label;
+
+            const ttlInput = document.createElement("input");
+            ttlInput.type = "number";
+            ttlInput.min = "0";
+            ttlInput.value = this.mainPlugin.cacheTtl[status];
+            ttlInput.className = "vt-input";
+            ttlInput.addEventListener("change", () => {
+                const hours = parseFloat(ttlInput.value);
+                this.mainPlugin.cacheTtl[status] = isNaN(hours) || hours < 0 ? 0 : hours;
+                this.mainPlugin.saveSettings();
+            });
+
+            ttlGroup.appendChild(ttlLabel);
+            ttlGroup.appendChild(ttlInput);
+            cacheSection.appendChild(ttlGroup);
         });
-        
-        this.initialized = false;
-        this.log("Plugin stopped");
+
+        // Cache size and clear button
+        const cacheInfo = document.createElement("div");
+        cacheInfo.style.marginBottom = "10px";
+        cacheInfo.style.color = "var(--text-muted)";
+        cacheInfo.textContent = `${this.entries.size} cached result${this.entries.size !== 1 ? 's' : ''}`;
+        cacheSection.appendChild(cacheInfo);
+
+        const clearBtn = document.createElement("button");
+        clearBtn.textContent = "Clear Cache";
+        clearBtn.className = "vt-delete-btn";
+        clearBtn.addEventListener("click", () => {
+            this.mainPlugin.clearCachedResults();
+            cacheInfo.textContent = "0 cached results";
+            BdApi.showToast("Scan result cache cleared", { type: "success" });
+        });
+        cacheSection.appendChild(clearBtn);
+
+        panel.appendChild(cacheSection);
     }
-    
-    log(message) {
-        if (this.debug || message.startsWith("ERROR:")) {
-            console.log(`[VirusTotalScanner] ${message}`);
-        }
+}
+
+// Scan History - For keeping a searchable log of every scan and the message it came from
+class VirusTotalScanHistory {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.MAX_ENTRIES = 2000;
+        this.PAGE_SIZE = 50;
+        this.SAVE_DELAY = 2000;
+        this.entries = []; // Newest first
+        this.saveTimer = null;
     }
-    
-    // Load settings from BdApi
-    loadSettings() {
-        const settings = BdApi.getData("VirusTotalScanner", "settings") || {};
-        this.apiKey = settings.apiKey || "";
-        this.enabled = settings.enabled !== undefined ? settings.enabled : true;
-        this.debug = settings.debug || false;
-        this.threshold = settings.threshold || 5;
+
+    // Load the history from local storage
+    load() {
+        const stored = BdApi.getData("VirusTotalScanner", "scanHistory");
+        this.entries = Array.isArray(stored) ? stored : [];
+        return this.entries;
     }
-    
-    // Save settings using BdApi
-    saveSettings() {
-        BdApi.saveData("VirusTotalScanner", "settings", {
-            apiKey: this.apiKey,
-            enabled: this.enabled,
-            debug: this.debug,
-            threshold: this.threshold
+
+    // Save the history to local storage
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        BdApi.saveData("VirusTotalScanner", "scanHistory", this.entries);
+    }
+
+    // Save a little later, so a burst of scans is written to disk once
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), this.SAVE_DELAY);
+    }
+
+    // Write out any save still waiting
+    flush() {
+        if (this.saveTimer) this.save();
+    }
+
+    // Record a finished scan with the Discord message it was found in
+    record(url, status, scanResult, element) {
+        const context = element ? this.mainPlugin.getMessageContext(element) : { ...this.mainPlugin.getCurrentScope(), messageId: null, authorId: null, authorName: null };
+        let guildName = null;
+        let channelName = null;
+
+        try {
+            const GuildStore = BdApi.Webpack.getStore("GuildStore");
+            const ChannelStore = BdApi.Webpack.getStore("ChannelStore");
+            guildName = context.guildId ? GuildStore?.getGuild(context.guildId)?.name || null : null;
+            channelName = context.channelId ? ChannelStore?.getChannel(context.channelId)?.name || null : null;
+        } catch (error) {
+            this.mainPlugin.log(`ERROR: Failed to look up server/channel names: ${error.message}`);
+        }
+
+        this.entries.unshift({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            url,
+            status,
+            malicious: scanResult?.malicious || 0,
+            suspicious: scanResult?.suspicious || 0,
+            totalEngines: scanResult?.totalEngines || 0,
+            time: Date.now(),
+            guildId: context.guildId || null,
+            guildName,
+            channelId: context.channelId || null,
+            channelName,
+            messageId: context.messageId || null,
+            authorId: context.authorId || null,
+            authorName: context.authorName || null
         });
+
+        if (this.entries.length > this.MAX_ENTRIES) {
+            this.entries.length = this.MAX_ENTRIES;
+        }
+
+        this.scheduleSave();
     }
-    
-    // Add CSS styles for the plugin
-    addStyles() {
-        BdApi.injectCSS("vt-scanner-css", `
-            .vt-settings-panel {
-                padding: 10px;
-            }
-            .vt-settings-group {
-                margin-bottom: 15px;
-            }
-            .vt-input {
-                width: 100%;
-                padding: 8px;
-                border-radius: 4px;
-                border: 1px solid var(--background-tertiary, #2f3136);
-                background: var(--background-secondary, #36393f);
-                color: var(--text-normal, #dcddde);
-                margin-top: 5px;
-            }
-            .vt-toggle {
-                width: 40px;
-                height: 24px;
-                background: var(--background-tertiary, #2f3136);
-                border-radius: 12px;
-                position: relative;
-                cursor: pointer;
-                margin-top: 5px;
-            }
-            .vt-toggle:before {
-                content: "";
-                position: absolute;
-                width: 18px;
-                height: 18px;
-                border-radius: 50%;
-                background: var(--interactive-normal, #b9bbbe);
-                top: 3px;
-                left: 3px;
-                transition: transform 0.2s ease;
-            }
-            .vt-toggle-checked {
-                background: var(--brand-experiment, #5865f2);
+
+    // Find entries matching a search text, verdict, server and date range
+    search({ text = "", status = "", guildId = "", from = null, to = null } = {}) {
+        const query = text.trim().toLowerCase();
+
+        return this.entries.filter(entry => {
+            if (status && entry.status !== status) return false;
+            if (guildId && (guildId === "@me" ? entry.guildId !== null : entry.guildId !== guildId)) return false;
+            if (from && entry.time < from) return false;
+            if (to && entry.time > to) return false;
+
+            if (query) {
+                const haystack = [entry.url, entry.status, entry.guildName, entry.channelName, entry.authorName, entry.authorId]
+                    .filter(Boolean)
+                    .join(" ")
+                    .toLowerCase();
+                if (!haystack.includes(query)) return false;
             }
-            .vt-toggle-checked:before {
-                transform: translateX(16px);
-                background: white;
+
+            return true;
+        });
+    }
+
+    // Get the servers that appear in the history, for the server filter
+    getGuilds() {
+        const guilds = new Map();
+        for (const entry of this.entries) {
+            if (entry.guildId && !guilds.has(entry.guildId)) {
+                guilds.set(entry.guildId, entry.guildName || entry.guildId);
             }
-            .vt-warning-icon {
-                color: #f04747;
-                margin-right: 4px;
-                display: inline-block;
-                font-weight: bold;
+        }
+        return guilds;
+    }
+
+    // Remove every entry
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    // Add the history view to the plugin settings
+    addHistorySettings(panel) {
+        const historySection = document.createElement("div");
+        historySection.className = "vt-history-section";
+        historySection.style.marginTop = "20px";
+        historySection.style.padding = "10px";
+        historySection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Scan History";
+        historySection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = `Every scan is logged with the message it was found in. The last ${this.MAX_ENTRIES} scans are kept.`;
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        historySection.appendChild(description);
+
+        // Search and filters
+        const filterGroup = document.createElement("div");
+        filterGroup.className = "vt-settings-group";
+
+        const searchInput = document.createElement("input");
+        searchInput.type = "text";
+        searchInput.placeholder = "Search URLs, servers, channels and users";
+        searchInput.className = "vt-input";
+
+        const statusSelect = document.createElement("select");
+        statusSelect.className = "vt-dropdown";
+        statusSelect.innerHTML = `<option value="">All verdicts</option>` +
+            [...this.mainPlugin.STATUS_SEVERITY].reverse()
+                .map(status => `<option value="${status}">${this.mainPlugin.getScanButtonText(status)}</option>`)
+                .join("");
+
+        const guildSelect = document.createElement("select");
+        guildSelect.className = "vt-dropdown";
+        guildSelect.innerHTML = `<option value="">All servers</option><option value="@me">Direct messages</option>` +
+            [...this.getGuilds()]
+                .map(([id, name]) => `<option value="${id}">${this.mainPlugin.escapeHtml(name)}</option>`)
+                .join("");
+
+        const fromInput = document.createElement("input");
+        fromInput.type = "date";
+        fromInput.className = "vt-input";
+        fromInput.title = "From";
+
+        const toInput = document.createElement("input");
+        toInput.type = "date";
+        toInput.className = "vt-input";
+        toInput.title = "To";
+
+        filterGroup.appendChild(searchInput);
+        filterGroup.appendChild(statusSelect);
+        filterGroup.appendChild(guildSelect);
+        filterGroup.appendChild(fromInput);
+        filterGroup.appendChild(toInput);
+        historySection.appendChild(filterGroup);
+
+        const summary = document.createElement("div");
+        summary.style.marginBottom = "5px";
+        summary.style.color = "var(--text-muted)";
+        summary.style.fontSize = "12px";
+        historySection.appendChild(summary);
+
+        const historyList = document.createElement("div");
+        historyList.className = "vt-history-list";
+        historySection.appendChild(historyList);
+
+        let shown = this.PAGE_SIZE;
+
+        const moreBtn = document.createElement("button");
+        moreBtn.textContent = "Show More";
+        moreBtn.className = "vt-add-btn";
+        moreBtn.style.marginTop = "10px";
+        moreBtn.addEventListener("click", () => {
+            shown += this.PAGE_SIZE;
+            renderHistory();
+        });
+
+        const renderHistory = () => {
+            historyList.innerHTML = "";
+
+            // Date inputs are local days, so "to" covers the whole of its day
+            const matches = this.search({
+                text: searchInput.value,
+                status: statusSelect.value,
+                guildId: guildSelect.value,
+                from: fromInput.value ? new Date(`${fromInput.value}T00:00:00`).getTime() : null,
+                to: toInput.value ? new Date(`${toInput.value}T23:59:59.999`).getTime() : null
+            });
+
+            summary.textContent = `${matches.length} of ${this.entries.length} scan${this.entries.length !== 1 ? 's' : ''}`;
+            moreBtn.style.display = matches.length > shown ? "" : "none";
+
+            if (matches.length === 0) {
+                const empty = document.createElement("p");
+                empty.className = "vt-empty-list";
+                empty.textContent = this.entries.length === 0 ? "Nothing has been scanned yet" : "No scans match these filters";
+                historyList.appendChild(empty);
+                return;
             }
-            .vt-scan-button {
-                display: inline-flex;
-                align-items: center;
-                justify-content: center;
-                margin-left: 4px;
-                padding: 0 4px;
+
+            matches.slice(0, shown).forEach(entry => {
+                const item = document.createElement("div");
+                item.className = "vt-collection-item";
+
+                const details = document.createElement("div");
+                details.style.minWidth = "0";
+                details.style.flex = "1";
+
+                const verdict = document.createElement("div");
+                verdict.style.color = this.mainPlugin.getScanButtonColor(entry.status);
+                verdict.style.fontWeight = "bold";
+                verdict.textContent = `${this.mainPlugin.getScanButtonText(entry.status)}${entry.totalEngines ? ` (${entry.malicious} malicious, ${entry.suspicious} suspicious of ${entry.totalEngines})` : ''}`;
+
+                const url = document.createElement("div");
+                url.style.wordBreak = "break-all";
+                url.textContent = entry.url;
+
+                const where = [
+                    entry.guildId ? entry.guildName || entry.guildId : "Direct messages",
+                    entry.channelName ? `#${entry.channelName}` : null,
+                    entry.authorName ? `posted by ${entry.authorName}` : null
+                ].filter(Boolean).join(" · ");
+
+                const context = document.createElement("div");
+                context.style.color = "var(--text-muted)";
+                context.style.fontSize = "12px";
+                context.textContent = `${new Date(entry.time).toLocaleString()} · ${where}`;
+
+                details.appendChild(verdict);
+                details.appendChild(url);
+                details.appendChild(context);
+                item.appendChild(details);
+
+                if (entry.channelId && entry.messageId) {
+                    const jumpBtn = document.createElement("button");
+                    jumpBtn.textContent = "Jump to Message";
+                    jumpBtn.className = "vt-add-btn";
+                    jumpBtn.style.marginBottom = "0";
+                    jumpBtn.style.marginLeft = "10px";
+                    jumpBtn.addEventListener("click", () => this.mainPlugin.jumpToMessage(entry));
+                    item.appendChild(jumpBtn);
+                }
+
+                historyList.appendChild(item);
+            });
+        };
+
+        searchInput.addEventListener("input", () => {
+            shown = this.PAGE_SIZE;
+            renderHistory();
+        });
+        [statusSelect, guildSelect, fromInput, toInput].forEach(input => input.addEventListener("change", () => {
+            shown = this.PAGE_SIZE;
+            renderHistory();
+        }));
+
+        const clearBtn = document.createElement("button");
+        clearBtn.textContent = "Clear History";
+        clearBtn.className = "vt-delete-btn";
+        clearBtn.style.marginTop = "10px";
+        clearBtn.style.marginLeft = "10px";
+        clearBtn.addEventListener("click", () => {
+            this.clear();
+            renderHistory();
+            BdApi.showToast("Scan history cleared", { type: "success" });
+        });
+
+        renderHistory();
+        historySection.appendChild(moreBtn);
+        historySection.appendChild(clearBtn);
+        panel.appendChild(historySection);
+    }
+}
+
+// Author Tracker - For keeping a per-user record of the links people post and flagging repeat offenders
+class VirusTotalAuthorTracker {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.MAX_LINKS = 25; // Offending links kept per user
+        this.MAX_SEEN = 500; // Message and URL pairs remembered per user, so re-renders aren't counted twice
+        this.SAVE_DELAY = 2000;
+        this.MARK_DELAY = 250;
+        this.authors = {}; // User ID -> record
+        this.messageAuthors = new WeakMap(); // Message element -> { messageId, authorId }
+        this.pendingRoots = new Set(); // Parts of the chat waiting for badges
+        this.saveTimer = null;
+        this.markTimer = null;
+    }
+
+    // Load author records from local storage
+    load() {
+        this.authors = BdApi.getData("VirusTotalScanner", "authorStats") || {};
+        return this.authors;
+    }
+
+    // Save author records to local storage
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        BdApi.saveData("VirusTotalScanner", "authorStats", this.authors);
+    }
+
+    // Save a little later, so a burst of verdicts is written to disk once
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), this.SAVE_DELAY);
+    }
+
+    // Write out any save still waiting and drop badge updates that haven't run
+    flush() {
+        clearTimeout(this.markTimer);
+        this.markTimer = null;
+        this.pendingRoots.clear();
+        if (this.saveTimer) this.save();
+    }
+
+    // Get the counter a verdict adds to, or null for verdicts that say nothing about the poster
+    getBucket(status) {
+        switch (status) {
+            case "malicious":
+            case "blocklisted":
+                return "malicious";
+            case "suspicious":
+            case "lookalike":
+                return "suspicious";
+            case "clean":
+                return "clean";
+            default:
+                return null;
+        }
+    }
+
+    // Check if recording is on for a server or DM - server overrides win over the default
+    isRecording(guildId) {
+        const settings = this.mainPlugin.authorTracking;
+        if (!guildId) return settings.dms;
+        if (settings.guilds[guildId]) return settings.guilds[guildId].enabled;
+        return settings.enabled;
+    }
+
+    // Check if a user's record is bad enough for a badge
+    isRisky(author) {
+        const settings = this.mainPlugin.authorTracking;
+        return !!author && (author.malicious >= settings.riskyMalicious || author.suspicious >= settings.riskySuspicious);
+    }
+
+    // Record the verdict of a link against the user who posted it
+    recordLink(url, status, element) {
+        const bucket = this.getBucket(status);
+        if (!bucket || !element) return;
+
+        const context = this.mainPlugin.getMessageContext(element);
+        if (!context.authorId || !context.messageId || !this.isRecording(context.guildId)) return;
+
+        const key = `${context.messageId}:${url}`;
+        const now = Date.now();
+        const author = this.authors[context.authorId] || (this.authors[context.authorId] = {
+            id: context.authorId,
+            name: context.authorName,
+            malicious: 0,
+            suspicious: 0,
+            clean: 0,
+            firstSeen: now,
+            lastSeen: now,
+            links: [],
+            seen: []
+        });
+
+        if (author.seen.includes(key)) return;
+        author.seen.push(key);
+        if (author.seen.length > this.MAX_SEEN) author.seen.shift();
+
+        const wasRisky = this.isRisky(author);
+        author[bucket]++;
+        author.name = context.authorName || author.name;
+        author.lastSeen = now;
+
+        if (bucket !== "clean") {
+            author.links.unshift({
+                url,
+                status,
+                time: now,
+                guildId: context.guildId,
+                channelId: context.channelId,
+                messageId: context.messageId
+            });
+            if (author.links.length > this.MAX_LINKS) author.links.length = this.MAX_LINKS;
+        }
+
+        this.scheduleSave();
+
+        if (this.isRisky(author)) {
+            if (!wasRisky) {
+                this.mainPlugin.log(`${author.name || author.id} now has a risky link record`);
+            }
+            this.scheduleMarkMessages(document.body);
+        }
+    }
+
+    // Update badges in a part of the chat shortly, batching the many calls a busy channel makes
+    scheduleMarkMessages(root) {
+        if (!root || !root.querySelectorAll) return;
+        this.pendingRoots.add(root);
+        if (this.markTimer) return;
+
+        this.markTimer = setTimeout(() => {
+            this.markTimer = null;
+            const roots = this.pendingRoots.has(document.body) ? [document.body] : [...this.pendingRoots];
+            this.pendingRoots.clear();
+
+            roots.filter(root => document.body.contains(root)).forEach(root => this.markMessages(root));
+        }, this.MARK_DELAY);
+    }
+
+    // Get the author of a message element, looking each message up in Discord's store only once
+    getAuthorId(message) {
+        const cached = this.messageAuthors.get(message);
+        if (cached && cached.messageId === message.id) return cached.authorId;
+
+        const authorId = this.mainPlugin.getMessageContext(message).authorId;
+        if (authorId) this.messageAuthors.set(message, { messageId: message.id, authorId });
+        return authorId;
+    }
+
+    // Add or update risk badges next to the names of risky users in a part of the chat
+    markMessages(root) {
+        if (!root || !root.querySelectorAll) return;
+        if (!Object.values(this.authors).some(author => this.isRisky(author))) return;
+
+        const messages = root.matches && root.matches('[id^="chat-messages-"]') ?
+            [root] :
+            root.querySelectorAll('[id^="chat-messages-"]');
+
+        for (const message of messages) {
+            // Only the first message of a group shows the author's name
+            const username = message.querySelector('[id^="message-username-"]');
+            if (!username) continue;
+
+            const author = this.authors[this.getAuthorId(message)];
+            let badge = username.parentElement.querySelector('.vt-author-badge');
+
+            if (!this.isRisky(author)) {
+                if (badge) badge.remove();
+                continue;
+            }
+
+            if (!badge) {
+                badge = document.createElement("span");
+                badge.className = "vt-author-badge";
+                username.after(badge);
+            }
+
+            badge.classList.toggle("vt-author-badge-suspicious", author.malicious < this.mainPlugin.authorTracking.riskyMalicious);
+            badge.textContent = `⚠ ${author.malicious + author.suspicious}`;
+            badge.title = `Posted ${author.malicious} malicious, ${author.suspicious} suspicious and ${author.clean} clean link${author.clean !== 1 ? 's' : ''}`;
+        }
+    }
+
+    // Forget everything recorded about a user
+    forget(userId) {
+        delete this.authors[userId];
+        this.save();
+        document.querySelectorAll('.vt-author-badge').forEach(badge => badge.remove());
+        this.markMessages(document.body);
+    }
+
+    // Add author tracking settings and the risky users view to the plugin settings
+    addAuthorSettings(panel) {
+        const settings = this.mainPlugin.authorTracking;
+
+        const authorSection = document.createElement("div");
+        authorSection.className = "vt-author-section";
+        authorSection.style.marginTop = "20px";
+        authorSection.style.padding = "10px";
+        authorSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Link Posters";
+        authorSection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = "Keeps a count of the malicious, suspicious and clean links each user posts. Users with a bad record get a warning badge next to their name. Records are only kept on this computer.";
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        authorSection.appendChild(description);
+
+        const addToggle = (label, getValue, setValue) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+
+            const toggleLabel = document.createElement("h3");
+            toggleLabel.textContent = label;
+
+            const toggle = document.createElement("div");
+            toggle.className = "vt-toggle";
+            toggle.classList.toggle("vt-toggle-checked", getValue());
+            toggle.addEventListener("click", () => {
+                setValue(!getValue());
+                toggle.classList.toggle("vt-toggle-checked", getValue());
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(toggleLabel);
+            group.appendChild(toggle);
+            authorSection.appendChild(group);
+        };
+
+        addToggle("Record link posters in servers by default", () => settings.enabled, value => {
+            settings.enabled = value;
+        });
+        addToggle("Record link posters in direct messages", () => settings.dms, value => {
+            settings.dms = value;
+        });
+
+        // Override for the server that is open
+        const scope = this.mainPlugin.getCurrentScope();
+        if (scope.guildId) {
+            let guildName = scope.guildId;
+            try {
+                guildName = BdApi.Webpack.getStore("GuildStore")?.getGuild(scope.guildId)?.name || guildName;
+            } catch (error) {
+                this.mainPlugin.log(`ERROR: Failed to look up server name: ${error.message}`);
+            }
+
+            const guildGroup = document.createElement("div");
+            guildGroup.className = "vt-settings-group";
+
+            const guildLabel = document.createElement("label");
+            guildLabel.textContent = `This server (${guildName})`;
+
+            const guildSelect = document.createElement("select");
+            guildSelect.className = "vt-dropdown";
+            guildSelect.innerHTML = `
+                <option value="inherit">Use default</option>
+                <option value="on">Record</option>
+                <option value="off">Don't record</option>
+            `;
+            const override = settings.guilds[scope.guildId];
+            guildSelect.value = override ? (override.enabled ? "on" : "off") : "inherit";
+            guildSelect.addEventListener("change", () => {
+                if (guildSelect.value === "inherit") {
+                    delete settings.guilds[scope.guildId];
+                } else {
+                    settings.guilds[scope.guildId] = { enabled: guildSelect.value === "on", name: guildName };
+                }
+                this.mainPlugin.saveSettings();
+            });
+
+            guildGroup.appendChild(guildLabel);
+            guildGroup.appendChild(guildSelect);
+            authorSection.appendChild(guildGroup);
+        }
+
+        // Badge thresholds
+        const addNumberInput = (label, key, fallback) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+
+            const inputLabel = document.createElement("label");
+            inputLabel.textContent = label;
+
+            const input = document.createElement("input");
+            input.type = "number";
+            input.min = "1";
+            input.value = settings[key];
+            input.className = "vt-input";
+            input.addEventListener("change", () => {
+                settings[key] = Math.max(parseInt(input.value) || fallback, 1);
+                input.value = settings[key];
+                this.mainPlugin.saveSettings();
+                renderAuthors();
+            });
+
+            group.appendChild(inputLabel);
+            group.appendChild(input);
+            authorSection.appendChild(group);
+        };
+
+        addNumberInput("Badge users after this many malicious links", "riskyMalicious", 1);
+        addNumberInput("...or this many suspicious links", "riskySuspicious", 3);
+
+        // Risky users
+        const listTitle = document.createElement("h3");
+        listTitle.textContent = "Risky Users";
+        listTitle.style.marginTop = "10px";
+        authorSection.appendChild(listTitle);
+
+        const authorsList = document.createElement("div");
+        authorsList.className = "vt-authors-list";
+        authorSection.appendChild(authorsList);
+
+        const renderAuthors = () => {
+            authorsList.innerHTML = "";
+
+            const risky = Object.values(this.authors)
+                .filter(author => this.isRisky(author))
+                .sort((a, b) => b.malicious - a.malicious || b.suspicious - a.suspicious);
+
+            if (risky.length === 0) {
+                const empty = document.createElement("p");
+                empty.className = "vt-empty-list";
+                empty.textContent = "No users with a bad link record";
+                authorsList.appendChild(empty);
+                return;
+            }
+
+            risky.forEach(author => {
+                const item = document.createElement("div");
+                item.className = "vt-collection-item";
+                item.style.flexWrap = "wrap";
+
+                const details = document.createElement("div");
+                details.style.minWidth = "0";
+                details.style.flex = "1";
+
+                const name = document.createElement("div");
+                name.style.fontWeight = "bold";
+                name.textContent = `${author.name || "Unknown user"} (${author.id})`;
+
+                const counts = document.createElement("div");
+                counts.style.fontSize = "12px";
+                counts.textContent = `${author.malicious} malicious, ${author.suspicious} suspicious, ${author.clean} clean · first seen ${new Date(author.firstSeen).toLocaleDateString()}, last seen ${this.mainPlugin.formatTimeAgo(author.lastSeen / 1000)}`;
+
+                details.appendChild(name);
+                details.appendChild(counts);
+
+                author.links.forEach(link => {
+                    const linkRow = document.createElement("div");
+                    linkRow.style.fontSize = "12px";
+                    linkRow.style.wordBreak = "break-all";
+                    linkRow.style.cursor = "pointer";
+                    linkRow.title = "Jump to message";
+
+                    const status = document.createElement("span");
+                    status.style.color = this.mainPlugin.getScanButtonColor(link.status);
+                    status.style.fontWeight = "bold";
+                    status.textContent = `${this.mainPlugin.getScanButtonText(link.status)} `;
+
+                    linkRow.appendChild(status);
+                    linkRow.appendChild(document.createTextNode(link.url));
+                    linkRow.addEventListener("click", () => this.mainPlugin.jumpToMessage(link));
+                    details.appendChild(linkRow);
+                });
+
+                const forgetBtn = document.createElement("button");
+                forgetBtn.textContent = "Forget";
+                forgetBtn.className = "vt-delete-btn";
+                forgetBtn.style.marginLeft = "10px";
+                forgetBtn.addEventListener("click", () => {
+                    this.forget(author.id);
+                    renderAuthors();
+                });
+
+                item.appendChild(details);
+                item.appendChild(forgetBtn);
+                authorsList.appendChild(item);
+            });
+        };
+
+        renderAuthors();
+        panel.appendChild(authorSection);
+    }
+}
+
+// Notification Centre - For de-duplicated alerts as toasts, desktop notifications and sounds, with an inbox of past alerts
+class VirusTotalNotificationCenter {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.MAX_INBOX = 200;
+        this.lastAlerts = new Map(); // URL -> time of the last alert
+        this.inbox = []; // Newest first
+    }
+
+    // Load the inbox from local storage
+    load() {
+        const stored = BdApi.getData("VirusTotalScanner", "notificationInbox");
+        this.inbox = Array.isArray(stored) ? stored : [];
+        return this.inbox;
+    }
+
+    // Save the inbox to local storage
+    save() {
+        BdApi.saveData("VirusTotalScanner", "notificationInbox", this.inbox);
+    }
+
+    // Check if a verdict should raise an alert
+    shouldAlert(status) {
+        if (status === "malicious" || status === "blocklisted") return true;
+        return this.mainPlugin.notifications.includeSuspicious && (status === "suspicious" || status === "lookalike");
+    }
+
+    // Check if the current time falls in the quiet hours, which may run past midnight
+    isQuietHours(date = new Date()) {
+        const quietHours = this.mainPlugin.notifications.quietHours;
+        if (!quietHours.enabled) return false;
+
+        const toMinutes = time => {
+            const [hours, minutes] = String(time).split(":").map(Number);
+            return (hours || 0) * 60 + (minutes || 0);
+        };
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(quietHours.start);
+        const end = toMinutes(quietHours.end);
+
+        return start <= end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    // Check if Discord is set to Do Not Disturb
+    isDoNotDisturb() {
+        try {
+            const UserStore = BdApi.Webpack.getStore("UserStore");
+            const PresenceStore = BdApi.Webpack.getStore("PresenceStore");
+            const userId = UserStore?.getCurrentUser()?.id;
+            return !!userId && PresenceStore?.getStatus(userId) === "dnd";
+        } catch (error) {
+            this.mainPlugin.log(`ERROR: Failed to read Discord status: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Describe a verdict in one line
+    getMessage(status, scanResult) {
+        const counts = scanResult && scanResult.totalEngines ? ` (${scanResult.malicious}/${scanResult.totalEngines})` : "";
+        const blocklist = status === "blocklisted" && scanResult?.providers?.find(verdict => verdict.status === "blocklisted");
+        const detail = blocklist && blocklist.detail ? ` (${blocklist.detail})` : counts;
+
+        return `${this.mainPlugin.getScanButtonText(status)} link detected!${detail}`;
+    }
+
+    // Alert about a verdict once per URL per time window
+    notify(url, status, scanResult, element) {
+        const settings = this.mainPlugin.notifications;
+        if (!this.shouldAlert(status)) return;
+
+        const now = Date.now();
+        const last = this.lastAlerts.get(url);
+        if (last && now - last < settings.dedupeMinutes * 60000) {
+            this.mainPlugin.log(`Not alerting again for ${url}: already alerted ${Math.round((now - last) / 1000)}s ago`);
+            return;
+        }
+        this.lastAlerts.set(url, now);
+
+        const message = this.getMessage(status, scanResult);
+        const context = element ? this.mainPlugin.getMessageContext(element) : this.mainPlugin.getCurrentScope();
+        const alert = {
+            id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+            url,
+            status,
+            message,
+            time: now,
+            guildId: context.guildId || null,
+            channelId: context.channelId || null,
+            messageId: context.messageId || null,
+            authorName: context.authorName || null,
+            read: false
+        };
+
+        this.inbox.unshift(alert);
+        if (this.inbox.length > this.MAX_INBOX) this.inbox.length = this.MAX_INBOX;
+        this.save();
+
+        BdApi.showToast(message, {
+            type: status === "malicious" || status === "blocklisted" ? "danger" : "warning",
+            timeout: 5000
+        });
+
+        // Desktop notifications and sounds wait out quiet hours and Do Not Disturb
+        if (this.isQuietHours() || (settings.respectDnd && this.isDoNotDisturb())) {
+            this.mainPlugin.log(`Quiet alert for ${url}: quiet hours or Do Not Disturb`);
+            return;
+        }
+
+        if (settings.desktop) this.showDesktopNotification(alert);
+        if (settings.sound) this.playSound();
+    }
+
+    // Show an OS notification that opens the message when clicked
+    showDesktopNotification(alert) {
+        if (typeof Notification === "undefined" || Notification.permission === "denied") return;
+
+        try {
+            const notification = new Notification("VirusTotal Scanner", {
+                body: `${alert.message}\n${alert.url}${alert.authorName ? `\nPosted by ${alert.authorName}` : ""}`,
+                silent: true
+            });
+            notification.onclick = () => {
+                window.focus();
+                this.openAlert(alert);
+            };
+        } catch (error) {
+            this.mainPlugin.log(`ERROR: Failed to show desktop notification: ${error.message}`);
+        }
+    }
+
+    // Play the alert sound - a sound file if one is set, otherwise a short tone
+    playSound() {
+        const settings = this.mainPlugin.notifications;
+
+        try {
+            if (settings.soundUrl) {
+                const audio = new Audio(settings.soundUrl);
+                audio.volume = settings.volume;
+                audio.play().catch(error => this.mainPlugin.log(`ERROR: Failed to play alert sound: ${error.message}`));
+                return;
+            }
+
+            const context = new AudioContext();
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.type = "square";
+            oscillator.frequency.value = 880;
+            gain.gain.value = settings.volume * 0.2;
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start();
+            oscillator.stop(context.currentTime + 0.25);
+            oscillator.onended = () => context.close();
+        } catch (error) {
+            this.mainPlugin.log(`ERROR: Failed to play alert sound: ${error.message}`);
+        }
+    }
+
+    // Mark an alert as read and open the message it came from
+    openAlert(alert) {
+        alert.read = true;
+        this.save();
+        this.mainPlugin.jumpToMessage(alert);
+    }
+
+    // Count alerts that haven't been opened
+    getUnreadCount() {
+        return this.inbox.filter(alert => !alert.read).length;
+    }
+
+    // Add notification settings and the alert inbox to the plugin settings
+    addNotificationSettings(panel) {
+        const settings = this.mainPlugin.notifications;
+
+        const notificationSection = document.createElement("div");
+        notificationSection.className = "vt-notification-section";
+        notificationSection.style.marginTop = "20px";
+        notificationSection.style.padding = "10px";
+        notificationSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Alerts";
+        notificationSection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = "Each link raises at most one alert per time window, however many times it is posted. During quiet hours and Do Not Disturb, alerts still appear in Discord and the inbox but without desktop notifications or sound.";
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        notificationSection.appendChild(description);
+
+        const addToggle = (label, getValue, setValue) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+
+            const toggleLabel = document.createElement("h3");
+            toggleLabel.textContent = label;
+
+            const toggle = document.createElement("div");
+            toggle.className = "vt-toggle";
+            toggle.classList.toggle("vt-toggle-checked", getValue());
+            toggle.addEventListener("click", () => {
+                setValue(!getValue());
+                toggle.classList.toggle("vt-toggle-checked", getValue());
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(toggleLabel);
+            group.appendChild(toggle);
+            notificationSection.appendChild(group);
+            return group;
+        };
+
+        const addInput = (group, label, type, getValue, setValue) => {
+            const inputLabel = document.createElement("label");
+            inputLabel.textContent = label;
+
+            const input = document.createElement("input");
+            input.type = type;
+            input.value = getValue();
+            input.className = "vt-input";
+            input.addEventListener("change", () => {
+                setValue(input.value);
+                input.value = getValue();
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(inputLabel);
+            group.appendChild(input);
+            return input;
+        };
+
+        addToggle("Also alert for suspicious and lookalike links", () => settings.includeSuspicious, value => {
+            settings.includeSuspicious = value;
+        });
+
+        const dedupeGroup = document.createElement("div");
+        dedupeGroup.className = "vt-settings-group";
+        addInput(dedupeGroup, "Alert for the same link at most once every (minutes)", "number", () => settings.dedupeMinutes, value => {
+            settings.dedupeMinutes = Math.max(parseFloat(value) || 0, 0);
+        });
+        notificationSection.appendChild(dedupeGroup);
+
+        addToggle("Show desktop notifications", () => settings.desktop, value => {
+            settings.desktop = value;
+            if (value && typeof Notification !== "undefined" && Notification.permission === "default") {
+                Notification.requestPermission();
+            }
+        });
+
+        const soundGroup = addToggle("Play a sound", () => settings.sound, value => {
+            settings.sound = value;
+        });
+        addInput(soundGroup, "Sound file URL (leave empty for a short tone)", "text", () => settings.soundUrl, value => {
+            settings.soundUrl = value.trim();
+        });
+        addInput(soundGroup, "Volume (0 to 1)", "number", () => settings.volume, value => {
+            const volume = parseFloat(value);
+            settings.volume = isNaN(volume) ? 0.5 : Math.min(Math.max(volume, 0), 1);
+        });
+
+        const testBtn = document.createElement("button");
+        testBtn.textContent = "Test Sound";
+        testBtn.className = "vt-add-btn";
+        testBtn.style.marginTop = "5px";
+        testBtn.addEventListener("click", () => this.playSound());
+        soundGroup.appendChild(testBtn);
+
+        addToggle("Stay quiet while Discord is set to Do Not Disturb", () => settings.respectDnd, value => {
+            settings.respectDnd = value;
+        });
+
+        const quietGroup = addToggle("Quiet hours", () => settings.quietHours.enabled, value => {
+            settings.quietHours.enabled = value;
+        });
+        addInput(quietGroup, "From", "time", () => settings.quietHours.start, value => {
+            settings.quietHours.start = value || "22:00";
+        });
+        addInput(quietGroup, "Until", "time", () => settings.quietHours.end, value => {
+            settings.quietHours.end = value || "08:00";
+        });
+
+        // Inbox of past alerts
+        const inboxTitle = document.createElement("h3");
+        inboxTitle.style.marginTop = "10px";
+        notificationSection.appendChild(inboxTitle);
+
+        const inboxList = document.createElement("div");
+        inboxList.className = "vt-inbox-list";
+        notificationSection.appendChild(inboxList);
+
+        const renderInbox = () => {
+            inboxList.innerHTML = "";
+            const unread = this.getUnreadCount();
+            inboxTitle.textContent = `Inbox${unread > 0 ? ` (${unread} unread)` : ""}`;
+
+            if (this.inbox.length === 0) {
+                const empty = document.createElement("p");
+                empty.className = "vt-empty-list";
+                empty.textContent = "No alerts yet";
+                inboxList.appendChild(empty);
+                return;
+            }
+
+            this.inbox.forEach(alert => {
+                const item = document.createElement("div");
+                item.className = "vt-collection-item";
+                item.style.cursor = alert.messageId ? "pointer" : "default";
+                item.title = alert.messageId ? "Open message" : "";
+
+                const details = document.createElement("div");
+                details.style.minWidth = "0";
+                details.style.flex = "1";
+
+                const message = document.createElement("div");
+                message.style.color = this.mainPlugin.getScanButtonColor(alert.status);
+                message.style.fontWeight = alert.read ? "normal" : "bold";
+                message.textContent = alert.message;
+
+                const url = document.createElement("div");
+                url.style.wordBreak = "break-all";
+                url.textContent = alert.url;
+
+                const when = document.createElement("div");
+                when.style.color = "var(--text-muted)";
+                when.style.fontSize = "12px";
+                when.textContent = `${new Date(alert.time).toLocaleString()}${alert.authorName ? ` · posted by ${alert.authorName}` : ""}`;
+
+                details.appendChild(message);
+                details.appendChild(url);
+                details.appendChild(when);
+                item.appendChild(details);
+
+                item.addEventListener("click", () => {
+                    if (!alert.messageId) return;
+                    this.openAlert(alert);
+                    renderInbox();
+                });
+
+                inboxList.appendChild(item);
+            });
+        };
+
+        const markReadBtn = document.createElement("button");
+        markReadBtn.textContent = "Mark All Read";
+        markReadBtn.className = "vt-add-btn";
+        markReadBtn.style.marginTop = "10px";
+        markReadBtn.addEventListener("click", () => {
+            this.inbox.forEach(alert => {
+                alert.read = true;
+            });
+            this.save();
+            renderInbox();
+        });
+
+        const clearBtn = document.createElement("button");
+        clearBtn.textContent = "Clear Inbox";
+        clearBtn.className = "vt-delete-btn";
+        clearBtn.style.marginLeft = "10px";
+        clearBtn.addEventListener("click", () => {
+            this.inbox = [];
+            this.save();
+            renderInbox();
+        });
+
+        renderInbox();
+        notificationSection.appendChild(markReadBtn);
+        notificationSection.appendChild(clearBtn);
+        panel.appendChild(notificationSection);
+    }
+}
+
+// Click Guard - For stopping clicks on risky links with a warning, and optionally scanning unscanned links before they open
+class VirusTotalClickGuard {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.WARN_STATUSES = ["malicious", "blocklisted", "suspicious", "lookalike"];
+        this.overlay = null;
+        this.timers = [];
+        this.listener = (e) => this.handleClick(e);
+    }
+
+    // Start listening for link clicks, before Discord's own handlers
+    install() {
+        document.addEventListener("click", this.listener, true);
+        document.addEventListener("auxclick", this.listener, true);
+    }
+
+    // Stop listening and close any open warning
+    uninstall() {
+        document.removeEventListener("click", this.listener, true);
+        document.removeEventListener("auxclick", this.listener, true);
+        this.close();
+    }
+
+    // Decide whether a link click goes through, gets a warning or waits for a scan
+    handleClick(e) {
+        const settings = this.mainPlugin.clickProtection;
+        if (!settings.enabled || (e.type === "auxclick" && e.button !== 1)) return;
+
+        const link = e.target && e.target.closest ? e.target.closest("a[href]") : null;
+        if (!link || (this.overlay && this.overlay.contains(link))) return;
+
+        // A click we let through ourselves after a warning
+        if (link._vtAllowClick) {
+            delete link._vtAllowClick;
+            return;
+        }
+
+        const url = link.href;
+        if (!/^https?:/i.test(url) || this.mainPlugin.shouldIgnoreUrl(url)) return;
+
+        const sanitizedUrl = this.mainPlugin.sanitizeUrl(url);
+        let status = this.mainPlugin.processedUrls.get(sanitizedUrl);
+        if (!status && this.mainPlugin.lookalikeDetector.isVerdict(this.mainPlugin.lookalikeDetector.check(sanitizedUrl))) {
+            status = "lookalike";
+        }
+
+        if (this.WARN_STATUSES.includes(status)) {
+            this.block(e);
+            this.showWarning(link, sanitizedUrl, status);
+            return;
+        }
+
+        // Optionally check links nobody has scanned yet before opening them
+        const unscanned = !status || status === "error" || this.mainPlugin.isPendingStatus(status);
+        if (!unscanned || !settings.scanUnscanned || this.mainPlugin.urlRules.isAllowed(url)) return;
+        if (!this.mainPlugin.enabled || !this.mainPlugin.scanProviders.hasAnyProvider()) return;
+
+        this.block(e);
+        if (!this.mainPlugin.isPendingStatus(status)) {
+            this.mainPlugin.processLink(link, sanitizedUrl, this.mainPlugin.SCAN_PRIORITY.USER);
+        }
+        this.waitForVerdict(link, sanitizedUrl);
+    }
+
+    // Keep a click from reaching Discord
+    block(e) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+    }
+
+    // Open a link the user chose to open, the way Discord would have
+    openLink(link) {
+        this.close();
+
+        if (document.body.contains(link)) {
+            link._vtAllowClick = true;
+            link.click();
+        } else {
+            // The message was re-rendered while we waited
+            window.open(link.href, "_blank");
+        }
+    }
+
+    // Turn a URL into a form that can be shared without being clickable, e.g. hxxps://evil[.]com
+    defangUrl(url) {
+        try {
+            const host = new URL(url).host;
+            return url.replace(/^http/i, "hxxp").replace(host, host.replace(/\./g, "[.]"));
+        } catch (e) {
+            return url.replace(/^http/i, "hxxp").replace(/\./g, "[.]");
+        }
+    }
+
+    // Build the detection summary for a link
+    getSummary(link, url) {
+        const scanResult = this.mainPlugin.getCachedResult(url)?.result;
+        const lines = [];
+
+        if (scanResult && scanResult.totalEngines) {
+            lines.push(`Flagged by ${scanResult.malicious} malicious and ${scanResult.suspicious} suspicious of ${scanResult.totalEngines} engines`);
+        }
+
+        if (scanResult && scanResult.engineResults && scanResult.engineResults.length > 0) {
+            lines.push(scanResult.engineResults
+                .slice(0, 5)
+                .map(detection => `${detection.result || detection.category} (${detection.engine})`)
+                .join(", "));
+        }
+
+        (scanResult?.providers || [])
+            .filter(verdict => verdict.id !== "virustotal" && verdict.detail && this.WARN_STATUSES.includes(verdict.status))
+            .forEach(verdict => lines.push(`${verdict.name}: ${verdict.detail}`));
+
+        const lookalike = scanResult?.lookalike || this.mainPlugin.lookalikeDetector.check(url);
+        if (this.mainPlugin.lookalikeDetector.isVerdict(lookalike)) lines.push(`Lookalike domain: ${lookalike.reason}`);
+
+        if (scanResult?.host && this.WARN_STATUSES.includes(scanResult.host.status)) {
+            lines.push(`The ${scanResult.host.type === "ip" ? "IP address" : "domain"} ${scanResult.host.host} is ${scanResult.host.status}`);
+        }
+
+        if (link._vtMismatch) {
+            lines.push(`The link text shows ${link._vtMismatch.shownHost} but it opens ${link._vtMismatch.realHost}`);
+        }
+
+        if (link._vtRisk && link._vtRisk.score > 0) {
+            lines.push(`Risk score ${link._vtRisk.score}/100: ${link._vtRisk.signals.map(signal => signal.label).join("; ")}`);
+        }
+
+        return lines;
+    }
+
+    // Create the overlay with a title, the URL and room for the rest
+    createOverlay(title, color, url) {
+        this.close();
+
+        const overlay = document.createElement("div");
+        overlay.className = "vt-interstitial-backdrop";
+
+        const dialog = document.createElement("div");
+        dialog.className = "vt-interstitial";
+        dialog.setAttribute("role", "alertdialog");
+
+        const heading = document.createElement("h2");
+        heading.textContent = title;
+        heading.style.color = color;
+
+        const urlLine = document.createElement("div");
+        urlLine.className = "vt-interstitial-url";
+        urlLine.textContent = url;
+
+        const body = document.createElement("div");
+        body.className = "vt-interstitial-body";
+
+        const buttons = document.createElement("div");
+        buttons.className = "vt-interstitial-buttons";
+
+        dialog.appendChild(heading);
+        dialog.appendChild(urlLine);
+        dialog.appendChild(body);
+        dialog.appendChild(buttons);
+        overlay.appendChild(dialog);
+
+        // Clicking outside the dialog or pressing Escape goes back
+        overlay.addEventListener("click", (e) => {
+            if (e.target === overlay) this.close();
+        });
+        this.keyListener = (e) => {
+            if (e.key === "Escape") {
+                e.stopPropagation();
+                this.close();
+            }
+        };
+        document.addEventListener("keydown", this.keyListener, true);
+
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+        return { body, buttons };
+    }
+
+    // Add a button to the overlay
+    addButton(buttons, label, className, onClick) {
+        const button = document.createElement("button");
+        button.textContent = label;
+        button.className = `vt-interstitial-button ${className}`;
+        button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            onClick(button);
+        });
+        buttons.appendChild(button);
+        return button;
+    }
+
+    // Warn about a risky link before it opens
+    showWarning(link, url, status, reason = null) {
+        const title = reason ? `⚠ ${reason}` : `⚠ This link is ${this.mainPlugin.getScanButtonText(status).toLowerCase()}`;
+        const { body, buttons } = this.createOverlay(title, this.mainPlugin.getScanButtonColor(status), link.href);
+
+        const lines = this.getSummary(link, url);
+        if (lines.length === 0) lines.push("No further details are known about this link.");
+        lines.forEach(line => {
+            const row = document.createElement("div");
+            row.textContent = line;
+            body.appendChild(row);
+        });
+
+        const backBtn = this.addButton(buttons, "Go back", "vt-interstitial-primary", () => this.close());
+
+        this.addButton(buttons, "Copy defanged", "vt-interstitial-secondary", () => {
+            navigator.clipboard.writeText(this.defangUrl(link.href))
+                .then(() => BdApi.showToast("Defanged link copied", { type: "success" }))
+                .catch(error => BdApi.showToast(`Couldn't copy: ${error.message}`, { type: "error" }));
+        });
+
+        // Opening anyway only becomes possible after a short pause
+        const delay = Math.max(this.mainPlugin.clickProtection.openDelay, 0);
+        const openBtn = this.addButton(buttons, "Open anyway", "vt-interstitial-danger", (button) => {
+            if (!button.disabled) this.openLink(link);
+        });
+
+        let remaining = delay;
+        const tick = () => {
+            openBtn.disabled = remaining > 0;
+            openBtn.textContent = remaining > 0 ? `Open anyway (${remaining})` : "Open anyway";
+            if (remaining-- > 0) this.timers.push(setTimeout(tick, 1000));
+        };
+        tick();
+
+        backBtn.focus();
+    }
+
+    // Hold a click until the link's scan finishes, then open it or warn
+    waitForVerdict(link, url) {
+        const settings = this.mainPlugin.clickProtection;
+        const { body, buttons } = this.createOverlay("Checking link before opening…", this.mainPlugin.getScanButtonColor("scanning"), link.href);
+
+        const message = document.createElement("div");
+        message.textContent = "This link hasn't been scanned yet. It will open as soon as it comes back clean.";
+        body.appendChild(message);
+
+        this.addButton(buttons, "Cancel", "vt-interstitial-primary", () => this.close());
+        this.addButton(buttons, "Open without waiting", "vt-interstitial-danger", () => this.openLink(link));
+
+        const startedAt = Date.now();
+        const check = () => {
+            const status = this.mainPlugin.processedUrls.get(url);
+
+            if (this.WARN_STATUSES.includes(status)) {
+                this.showWarning(link, url, status);
+            } else if (status === "error" || (this.mainPlugin.isPendingStatus(status) && Date.now() - startedAt > settings.waitTimeout * 1000)) {
+                this.showWarning(link, url, "error", status === "error" ? "This link couldn't be scanned" : "The scan is taking too long");
+            } else if (status && !this.mainPlugin.isPendingStatus(status)) {
+                this.openLink(link);
+            } else {
+                this.timers.push(setTimeout(check, 500));
+            }
+        };
+        this.timers.push(setTimeout(check, 500));
+    }
+
+    // Close the overlay and stop its timers
+    close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+
+        if (this.keyListener) {
+            document.removeEventListener("keydown", this.keyListener, true);
+            this.keyListener = null;
+        }
+
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    // Add click protection settings to the plugin settings
+    addClickGuardSettings(panel) {
+        const settings = this.mainPlugin.clickProtection;
+
+        const guardSection = document.createElement("div");
+        guardSection.className = "vt-click-guard-section";
+        guardSection.style.marginTop = "20px";
+        guardSection.style.padding = "10px";
+        guardSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Click Protection";
+        guardSection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = "Clicking a malicious, blocklisted, suspicious or lookalike link shows a warning before anything opens.";
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        guardSection.appendChild(description);
+
+        const addToggle = (label, key) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+
+            const toggleLabel = document.createElement("h3");
+            toggleLabel.textContent = label;
+
+            const toggle = document.createElement("div");
+            toggle.className = "vt-toggle";
+            toggle.classList.toggle("vt-toggle-checked", settings[key]);
+            toggle.addEventListener("click", () => {
+                settings[key] = !settings[key];
+                toggle.classList.toggle("vt-toggle-checked", settings[key]);
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(toggleLabel);
+            group.appendChild(toggle);
+            guardSection.appendChild(group);
+        };
+
+        const addNumberInput = (label, key, fallback) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+
+            const inputLabel = document.createElement("label");
+            inputLabel.textContent = label;
+
+            const input = document.createElement("input");
+            input.type = "number";
+            input.min = "0";
+            input.value = settings[key];
+            input.className = "vt-input";
+            input.addEventListener("change", () => {
+                const value = parseInt(input.value);
+                settings[key] = isNaN(value) || value < 0 ? fallback : value;
+                input.value = settings[key];
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(inputLabel);
+            group.appendChild(input);
+            guardSection.appendChild(group);
+        };
+
+        addToggle("Warn before opening risky links", "enabled");
+        addNumberInput("Seconds before \"Open anyway\" can be clicked", "openDelay", 3);
+        addToggle("Scan unscanned links when clicked and wait for the verdict before opening them", "scanUnscanned");
+        addNumberInput("Longest wait for a verdict (seconds)", "waitTimeout", 30);
+
+        panel.appendChild(guardSection);
+    }
+}
+
+// Context Menu - For scanning, tracking and reporting links from Discord's message context menu
+class VirusTotalContextMenu {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.unpatch = null;
+    }
+
+    // Add our entries to the message context menu, which Discord also opens for links in messages
+    patch() {
+        if (this.unpatch) return;
+
+        this.unpatch = BdApi.ContextMenu.patch("message", (tree, props) => {
+            try {
+                const items = this.buildItems(props);
+                if (items.length === 0) return;
+
+                tree.props.children.push(
+                    BdApi.ContextMenu.buildItem({ type: "separator" }),
+                    BdApi.ContextMenu.buildItem({ type: "submenu", id: "vt-scanner", label: "VirusTotal", items })
+                );
+            } catch (error) {
+                this.mainPlugin.log(`ERROR: Failed to build context menu: ${error.message}`);
+            }
+        });
+    }
+
+    // Remove our entries
+    remove() {
+        if (this.unpatch) {
+            this.unpatch();
+            this.unpatch = null;
+        }
+    }
+
+    // Get the scannable link elements in a message
+    getMessageLinks(props) {
+        if (!props.channel || !props.message) return [];
+
+        const messageElement = document.getElementById(`chat-messages-${props.channel.id}-${props.message.id}`);
+        if (!messageElement) return [];
+
+        return [...messageElement.querySelectorAll("a, .vt-text-url")].filter(link => {
+            const linkUrl = this.mainPlugin.getLinkUrl(link);
+            return linkUrl && /^https?:/i.test(linkUrl) && !this.mainPlugin.shouldIgnoreUrl(linkUrl);
+        });
+    }
+
+    // Get the link that was right-clicked, if any
+    getTargetLink(props) {
+        const target = props.target && props.target.closest ? props.target.closest("a[href], .vt-text-url") : null;
+        if (!target) return null;
+
+        const linkUrl = this.mainPlugin.getLinkUrl(target);
+        if (!linkUrl || !/^https?:/i.test(linkUrl) || this.mainPlugin.shouldIgnoreUrl(linkUrl)) return null;
+        return target;
+    }
+
+    // Scan a link with the user's priority, discarding any cached verdict first
+    scanLink(link, url) {
+        this.mainPlugin.resultCache.delete(url);
+        this.mainPlugin.processedUrls.delete(url);
+        this.mainPlugin.processLink(link, url, this.mainPlugin.SCAN_PRIORITY.USER);
+
+        const scanButton = link.nextSibling;
+        if (scanButton && scanButton.classList && scanButton.classList.contains("vt-scan-button")) {
+            scanButton.textContent = this.mainPlugin.getScanButtonText("scanning");
+            scanButton.style.backgroundColor = this.mainPlugin.getScanButtonColor("scanning");
+        }
+    }
+
+    // Get the VirusTotal report link for a URL - from its result, or built from the URL itself
+    getReportLink(url) {
+        const scanResult = this.mainPlugin.getCachedResult(url)?.result;
+        if (scanResult && scanResult.vtLink) return scanResult.vtLink;
+        if (scanResult && scanResult.providerOnly) return null;
+        if (this.mainPlugin.isAttachmentUrl(url)) return null;
+
+        return `https://www.virustotal.com/gui/url/${btoa(url).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}/detection`;
+    }
+
+    // Build the menu items for a message and the link that was clicked
+    buildItems(props) {
+        const plugin = this.mainPlugin;
+        const items = [];
+        const canScan = plugin.scanProviders.hasAnyProvider();
+
+        // Every link in the message
+        const messageLinks = this.getMessageLinks(props);
+        if (messageLinks.length > 0) {
+            const unscanned = messageLinks.filter(link => !plugin.processedUrls.has(plugin.sanitizeUrl(plugin.getLinkUrl(link))));
+            items.push({
+                id: "vt-scan-message",
+                label: unscanned.length > 0 ? `Scan all links in this message (${unscanned.length})` : "All links in this message are scanned",
+                disabled: !canScan || unscanned.length === 0,
+                action: () => {
+                    const seen = new Set();
+                    for (const link of unscanned) {
+                        const url = plugin.sanitizeUrl(plugin.getLinkUrl(link));
+                        if (seen.has(url)) {
+                            plugin.trackLinkElement(url, link);
+                            continue;
+                        }
+                        seen.add(url);
+                        this.scanLink(link, url);
+                    }
+                    BdApi.showToast(`Scanning ${seen.size} link${seen.size !== 1 ? 's' : ''}`, { type: "info" });
+                }
+            });
+        }
+
+        // The link that was right-clicked
+        const link = this.getTargetLink(props);
+        if (!link) return items;
+
+        const url = plugin.sanitizeUrl(plugin.getLinkUrl(link));
+        const status = plugin.processedUrls.get(url);
+        const pending = plugin.isPendingStatus(status);
+        const scanResult = plugin.getCachedResult(url)?.result;
+        const trackingKey = scanResult?.fileHash || url;
+
+        items.push({
+            id: "vt-scan-link",
+            label: status ? `${pending ? "Scanning link" : "Scan link again"} (${plugin.getScanButtonText(status)})` : "Scan link",
+            disabled: !canScan || pending,
+            action: () => this.scanLink(link, url)
+        });
+
+        // Collections and graphs, each with a tick when the link is already in it
+        const tracker = plugin.fileTracker;
+        if (!tracker.collectionManager) {
+            tracker.collectionManager = new VirusTotalCollectionManager(plugin.apiKey);
+        }
+
+        const collections = tracker.getExistingCollections();
+        items.push({
+            type: "submenu",
+            id: "vt-add-to-collection",
+            label: "Add to collection…",
+            disabled: collections.length === 0,
+            items: collections.map(collection => {
+                const isInCollection = collection.items && collection.items.includes(trackingKey);
+                return {
+                    id: `vt-collection-${collection.id}`,
+                    label: `${collection.name}${isInCollection ? " ✓" : ""}`,
+                    disabled: isInCollection,
+                    action: async () => {
+                        try {
+                            const result = await tracker.collectionManager.addItemToCollection(collection.id, trackingKey, scanResult?.fileHash ? 'file' : 'url');
+                            BdApi.showToast(result ? `Added to ${collection.name}` : "Failed to add to collection", { type: result ? "success" : "error" });
+                        } catch (error) {
+                            plugin.log(`ERROR: Failed to add to collection: ${error.message}`);
+                            BdApi.showToast("Error adding to collection", { type: "error" });
+                        }
+                    }
+                };
+            })
+        });
+
+        const graphs = tracker.getExistingGraphs();
+        items.push({
+            type: "submenu",
+            id: "vt-add-to-graph",
+            label: "Add to graph…",
+            // Graph relationships carry the verdict, so there has to be a result first
+            disabled: graphs.length === 0 || !scanResult,
+            items: !scanResult ? [] : graphs.map(graph => {
+                const isInGraph = graph.relationships && graph.relationships.some(r => r.source === trackingKey || r.target === trackingKey);
+                return {
+                    id: `vt-graph-${graph.id}`,
+                    label: `${graph.name}${isInGraph ? " ✓" : ""}`,
+                    disabled: isInGraph,
+                    action: async () => {
+                        try {
+                            const result = await tracker.collectionManager.addRelationshipToGraph(graph.id, trackingKey, trackingKey, tracker.determineFileStatus(scanResult));
+                            BdApi.showToast(result ? `Added to ${graph.name}` : "Failed to add to graph", { type: result ? "success" : "error" });
+                        } catch (error) {
+                            plugin.log(`ERROR: Failed to add to graph: ${error.message}`);
+                            BdApi.showToast("Error adding to graph", { type: "error" });
+                        }
+                    }
+                };
+            })
+        });
+
+        const reportLink = this.getReportLink(url);
+        items.push({
+            id: "vt-copy-report",
+            label: "Copy VirusTotal report link",
+            disabled: !reportLink,
+            action: () => {
+                navigator.clipboard.writeText(reportLink)
+                    .then(() => BdApi.showToast("Report link copied", { type: "success" }))
+                    .catch(error => BdApi.showToast(`Couldn't copy: ${error.message}`, { type: "error" }));
+            }
+        });
+
+        const flagged = ["malicious", "blocklisted", "suspicious", "lookalike"].includes(status);
+        items.push({
+            id: "vt-false-positive",
+            label: "Mark as false positive",
+            disabled: !flagged,
+            action: () => plugin.markFalsePositive(url)
+        });
+
+        return items;
+    }
+}
+
+// Rate Limiter - For respecting VirusTotal per-minute, daily and monthly quotas
+class VirusTotalRateLimiter {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.requestTimes = []; // Track API request timestamps within the last minute
+        this.backoffUntil = 0; // Set when VirusTotal answers with HTTP 429
+        this.waiters = new Set(); // Pending acquire() calls waiting for capacity
+        this.usage = BdApi.getData("VirusTotalScanner", "quotaUsage") || {};
+        this.saveTimer = null;
+        this.SAVE_DELAY = 2000;
+        
+        // Quotas for the free public API
+        this.FREE_QUOTA = { perMinute: 4, perDay: 500, perMonth: 15500 };
+        this.MINUTE = 60000;
+    }
+
+    // Save the usage counters to local storage
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        BdApi.saveData("VirusTotalScanner", "quotaUsage", this.usage);
+    }
+
+    // Save a little later, so a burst of requests is written to disk once
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), this.SAVE_DELAY);
+    }
+
+    // Write out any save still waiting
+    flush() {
+        if (this.saveTimer) this.save();
+    }
+
+    // Get the quotas that currently apply (0 means unlimited)
+    getLimits() {
+        switch (this.mainPlugin.quotaTier) {
+            case "custom": return { ...this.FREE_QUOTA, ...this.mainPlugin.customQuota };
+            case "detected": return this.mainPlugin.detectedQuota || this.FREE_QUOTA;
+            default: return this.FREE_QUOTA;
+        }
+    }
+
+    // VirusTotal quotas reset at midnight UTC and on the first of the month
+    getDayKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    getMonthKey(date = new Date()) {
+        return date.toISOString().slice(0, 7);
+    }
+
+    // Reset the daily and monthly counters when a new day or month starts
+    rollUsage() {
+        const day = this.getDayKey();
+        const month = this.getMonthKey();
+        
+        if (this.usage.day !== day) {
+            this.usage.day = day;
+            this.usage.daily = 0;
+        }
+        
+        if (this.usage.month !== month) {
+            this.usage.month = month;
+            this.usage.monthly = 0;
+        }
+    }
+
+    // Get the number of milliseconds until another request may be sent
+    getWaitTime() {
+        const now = Date.now();
+        const limits = this.getLimits();
+        let wait = Math.max(0, this.backoffUntil - now);
+        
+        // Remove timestamps older than a minute
+        this.requestTimes = this.requestTimes.filter(time => now - time < this.MINUTE);
+        if (limits.perMinute > 0 && this.requestTimes.length >= limits.perMinute) {
+            const oldest = this.requestTimes[this.requestTimes.length - limits.perMinute];
+            wait = Math.max(wait, oldest + this.MINUTE - now);
+        }
+        
+        this.rollUsage();
+        const today = new Date(now);
+        if (limits.perDay > 0 && this.usage.daily >= limits.perDay) {
+            const nextDay = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1);
+            wait = Math.max(wait, nextDay - now);
+        }
+        
+        if (limits.perMonth > 0 && this.usage.monthly >= limits.perMonth) {
+            const nextMonth = Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1);
+            wait = Math.max(wait, nextMonth - now);
+        }
+        
+        return wait;
+    }
+
+    // Check if a request can be sent right now
+    canRequest() {
+        return this.getWaitTime() === 0;
+    }
+
+    // Record a request against every quota
+    recordRequest() {
+        this.rollUsage();
+        this.requestTimes.push(Date.now());
+        this.usage.daily++;
+        this.usage.monthly++;
+        this.scheduleSave();
+    }
+
+    // Wait until there is capacity, then record the request
+    async acquire() {
+        let wait = this.getWaitTime();
+        
+        while (wait > 0) {
+            this.mainPlugin.log(`Rate limited, waiting ${Math.ceil(wait / 1000)}s`);
+            await new Promise((resolve, reject) => {
+                const waiter = { reject };
+                waiter.timer = setTimeout(() => {
+                    this.waiters.delete(waiter);
+                    resolve();
+                }, wait);
+                this.waiters.add(waiter);
+            });
+            wait = this.getWaitTime();
+        }
+        
+        this.recordRequest();
+    }
+
+    // Cancel everything waiting for capacity
+    cancelPending() {
+        for (const waiter of this.waiters) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error("Scanner stopped"));
+        }
+        this.waiters.clear();
+    }
+
+    // Back off after HTTP 429, honouring Retry-After (seconds or an HTTP date) when present
+    handleTooManyRequests(retryAfter) {
+        let delay = this.MINUTE;
+        
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            if (!isNaN(seconds)) {
+                delay = seconds * 1000;
+            } else if (!isNaN(Date.parse(retryAfter))) {
+                delay = Math.max(0, Date.parse(retryAfter) - Date.now());
+            }
+        }
+        
+        this.backoffUntil = Math.max(this.backoffUntil, Date.now() + delay);
+        this.mainPlugin.log(`VirusTotal returned 429, backing off for ${Math.ceil(delay / 1000)}s`);
+        return delay;
+    }
+
+    // Read the quotas attached to the API key
+    async detectQuota() {
+        const apiKey = this.mainPlugin.apiKey;
+        const response = await BdApi.Net.fetch(`https://www.virustotal.com/api/v3/users/${encodeURIComponent(apiKey)}/overall_quotas`, {
+            method: 'GET',
+            headers: {
+                'x-apikey': apiKey,
+                'accept': 'application/json'
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Quota request failed with status ${response.status}`);
+        }
+        
+        const data = (await response.json())?.data || {};
+        const hourly = data.api_requests_hourly?.user;
+        const daily = data.api_requests_daily?.user;
+        const monthly = data.api_requests_monthly?.user;
+        
+        const quota = {
+            perMinute: hourly?.allowed ? Math.max(1, Math.floor(hourly.allowed / 60)) : this.FREE_QUOTA.perMinute,
+            perDay: daily?.allowed || 0,
+            perMonth: monthly?.allowed || 0
+        };
+        
+        // Trust VirusTotal's usage counters if they are ahead of ours
+        this.rollUsage();
+        this.usage.daily = Math.max(this.usage.daily, daily?.used || 0);
+        this.usage.monthly = Math.max(this.usage.monthly, monthly?.used || 0);
+        this.save();
+        
+        return quota;
+    }
+
+    // Add quota settings to the plugin settings
+    addQuotaSettings(panel) {
+        const quotaSection = document.createElement("div");
+        quotaSection.className = "vt-quota-section";
+        quotaSection.style.marginTop = "20px";
+        quotaSection.style.padding = "10px";
+        quotaSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "API Quota";
+        quotaSection.appendChild(sectionTitle);
+
+        // Usage summary
+        const usageInfo = document.createElement("div");
+        usageInfo.style.marginBottom = "10px";
+        usageInfo.style.color = "var(--text-muted)";
+        const renderUsage = () => {
+            const limits = this.getLimits();
+            const format = (used, allowed) => allowed > 0 ? `${used}/${allowed}` : `${used} (unlimited)`;
+            this.rollUsage();
+            usageInfo.textContent = `Limits: ${limits.perMinute || "unlimited"} per minute. ` +
+                `Used today: ${format(this.usage.daily, limits.perDay)}, this month: ${format(this.usage.monthly, limits.perMonth)}`;
+        };
+
+        // Tier selector
+        const tierGroup = document.createElement("div");
+        tierGroup.className = "vt-settings-group";
+
+        const tierLabel = document.createElement("label");
+        tierLabel.textContent = "Quota tier";
+
+        const tierSelect = document.createElement("select");
+        tierSelect.className = "vt-dropdown";
+        tierSelect.innerHTML = `
+            <option value="free">Free (4/minute, 500/day, 15,500/month)</option>
+            <option value="detected">Detected from API key</option>
+            <option value="custom">Custom (premium)</option>
+        `;
+        tierSelect.value = this.mainPlugin.quotaTier;
+
+        tierGroup.appendChild(tierLabel);
+        tierGroup.appendChild(tierSelect);
+        quotaSection.appendChild(tierGroup);
+
+        // Custom quota inputs
+        const customGroup = document.createElement("div");
+        customGroup.className = "vt-settings-group";
+
+        const customFields = [
+            { key: "perMinute", label: "Requests per minute" },
+            { key: "perDay", label: "Requests per day (0 for unlimited)" },
+            { key: "perMonth", label: "Requests per month (0 for unlimited)" }
+        ];
+
+        customFields.forEach(({ key, label }) => {
+            const fieldLabel = document.createElement("label");
+            fieldLabel.textContent = label;
+
+            const fieldInput = document.createElement("input");
+            fieldInput.type = "number";
+            fieldInput.min = "0";
+            fieldInput.value = this.mainPlugin.customQuota[key];
+            fieldInput.className = "vt-input";
+            fieldInput.addEventListener("change", () => {
+                const value = parseInt(fieldInput.value);
+                this.mainPlugin.customQuota[key] = isNaN(value) || value < 0 ? 0 : value;
+                this.mainPlugin.saveSettings();
+                renderUsage();
+                this.mainPlugin.scheduleQueue();
+            });
+
+            customGroup.appendChild(fieldLabel);
+            customGroup.appendChild(fieldInput);
+        });
+        quotaSection.appendChild(customGroup);
+
+        // Detect button
+        const detectBtn = document.createElement("button");
+        detectBtn.textContent = "Detect Quota From API Key";
+        detectBtn.className = "vt-add-btn";
+        detectBtn.addEventListener("click", async () => {
+            if (!this.mainPlugin.apiKey) {
+                BdApi.showToast("API key not set", { type: "error" });
+                return;
+            }
+            
+            detectBtn.disabled = true;
+            detectBtn.textContent = "Detecting...";
+            
+            try {
+                this.mainPlugin.detectedQuota = await this.detectQuota();
+                this.mainPlugin.quotaTier = "detected";
+                this.mainPlugin.saveSettings();
+                tierSelect.value = "detected";
+                updateVisibility();
+                this.mainPlugin.scheduleQueue();
+                BdApi.showToast("API quota detected", { type: "success" });
+            } catch (error) {
+                BdApi.showToast(`Failed to detect quota: ${error.message}`, { type: "error" });
+            }
+            
+            detectBtn.disabled = false;
+            detectBtn.textContent = "Detect Quota From API Key";
+        });
+
+        const updateVisibility = () => {
+            customGroup.style.display = tierSelect.value === "custom" ? "block" : "none";
+            detectBtn.style.display = tierSelect.value === "detected" ? "inline-block" : "none";
+            renderUsage();
+        };
+
+        tierSelect.addEventListener("change", () => {
+            this.mainPlugin.quotaTier = tierSelect.value;
+            this.mainPlugin.saveSettings();
+            updateVisibility();
+            this.mainPlugin.scheduleQueue();
+        });
+
+        quotaSection.appendChild(detectBtn);
+        quotaSection.appendChild(usageInfo);
+        updateVisibility();
+
+        panel.appendChild(quotaSection);
+    }
+}
+
+// Scan Queue - For ordering pending scans by priority and keeping them across restarts
+class VirusTotalScanQueue {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.entries = []; // Waiting entries, plus ones being sent (inFlight) until their scan is done
+        this.lastPruned = 0;
+        
+        // Entries older than this are dropped, unless the user asked for them
+        this.MAX_AGE = 24 * 3600000;
+        
+        // How often the whole queue is checked for entries that are no longer wanted
+        this.PRUNE_INTERVAL = 60000;
+    }
+
+    // Number of entries waiting to be sent
+    get length() {
+        return this.entries.filter(entry => !entry.inFlight).length;
+    }
+
+    // Load pending scans from local storage, including ones that were being sent when the plugin stopped
+    load() {
+        const stored = BdApi.getData("VirusTotalScanner", "scanQueue") || [];
+        this.entries = stored
+            .filter(entry => entry && entry.url)
+            .map(entry => ({ ...entry, visible: false, restored: true }));
+        this.prune();
+        return this.entries;
+    }
+
+    // Save pending scans to local storage
+    save() {
+        BdApi.saveData("VirusTotalScanner", "scanQueue", this.entries.map(({ visible, restored, inFlight, ...entry }) => entry));
+    }
+
+    // Check if a URL is waiting in the queue or being sent
+    has(url) {
+        return this.entries.some(entry => entry.url === url);
+    }
+
+    // Add a URL, or raise its priority if it is already queued
+    enqueue(url, priority, extra = {}) {
+        let entry = this.entries.find(e => e.url === url);
+        
+        if (entry) {
+            entry.priority = Math.min(entry.priority, priority);
+            Object.assign(entry, extra);
+        } else {
+            entry = {
+                url,
+                priority,
+                queuedAt: Date.now(),
+                visible: false,
+                ...extra
+            };
+            this.entries.push(entry);
+        }
+        
+        this.save();
+        return entry;
+    }
+
+    // Put an entry that was being sent back in line, keeping its place
+    requeue(entry) {
+        const existing = this.entries.find(e => e.url === entry.url);
+        
+        if (existing) {
+            existing.inFlight = false;
+        } else {
+            this.entries.push({ ...entry, inFlight: false });
+            this.save();
+        }
+    }
+
+    // Remove a URL from the queue
+    remove(url) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.url !== url);
+        if (this.entries.length !== before) {
+            this.save();
+        }
+    }
+
+    // Forget an entry once its scan has finished
+    complete(url) {
+        this.remove(url);
+    }
+
+    // Links in the viewport jump ahead of background work
+    setVisible(url, visible) {
+        const entry = this.entries.find(e => e.url === url);
+        if (entry) {
+            entry.visible = visible;
+        }
+    }
+
+    // Get the priority an entry is served at
+    getEffectivePriority(entry) {
+        const { VISIBLE } = this.mainPlugin.SCAN_PRIORITY;
+        return entry.visible ? Math.min(entry.priority, VISIBLE) : entry.priority;
+    }
+
+    // Take the highest priority entry, oldest first within a priority. It stays saved until complete() is called
+    dequeue() {
+        // Checking every entry is costly with many links, so the full sweep only runs now and then
+        if (Date.now() - this.lastPruned >= this.PRUNE_INTERVAL) {
+            this.prune();
+        }
+        
+        for (;;) {
+            let best = null;
+            for (const entry of this.entries) {
+                if (entry.inFlight) continue;
+                
+                const priority = this.getEffectivePriority(entry);
+                const bestPriority = best ? this.getEffectivePriority(best) : Infinity;
+                if (priority < bestPriority || (priority === bestPriority && entry.queuedAt < best.queuedAt)) {
+                    best = entry;
+                }
+            }
+            
+            if (!best) return null;
+            
+            // Between sweeps only the entry about to be sent is checked
+            if (!this.isRelevant(best)) {
+                this.entries.splice(this.entries.indexOf(best), 1);
+                this.drop(best);
+                this.save();
+                continue;
+            }
+            
+            best.inFlight = true;
+            this.mainPlugin.unobserveLinkVisibility(best.url);
+            return best;
+        }
+    }
+
+    // Check whether a queued scan is still worth sending
+    isRelevant(entry) {
+        const plugin = this.mainPlugin;
+        const { USER, BACKGROUND } = plugin.SCAN_PRIORITY;
+        
+        // Already answered, or no longer wanted
+        if (plugin.resultCache.get(entry.url) || plugin.pendingAnalyses.has(entry.url)) return false;
+        if (plugin.shouldIgnoreUrl(entry.url)) return false;
+        if (entry.priority !== USER && plugin.urlRules.isAllowed(entry.url)) return false;
+        
+        // Stale background work
+        if (entry.priority !== USER && Date.now() - entry.queuedAt > this.MAX_AGE) return false;
+        
+        // Background work for links whose messages are gone (e.g. the channel was left)
+        const elements = plugin.linkElements.get(entry.url);
+        if (entry.priority >= BACKGROUND && !entry.restored && elements && elements.size > 0) {
+            const inDocument = [...elements].some(element => document.body.contains(element));
+            if (!inDocument) return false;
+        }
+        
+        return true;
+    }
+
+    // Log a dropped entry and reset its "Scanning..." state so the link can be scanned again later
+    drop(entry) {
+        this.mainPlugin.log(`Dropping queued scan: ${entry.url}`);
+        this.mainPlugin.unobserveLinkVisibility(entry.url);
+        
+        if (this.mainPlugin.processedUrls.get(entry.url) === "scanning") {
+            this.mainPlugin.processedUrls.delete(entry.url);
+            this.mainPlugin.updateLinkElements(entry.url, null);
+        }
+    }
+
+    // Drop waiting entries that are no longer relevant
+    prune() {
+        this.lastPruned = Date.now();
+        const kept = [];
+        
+        for (const entry of this.entries) {
+            if (entry.inFlight || this.isRelevant(entry)) {
+                kept.push(entry);
+                continue;
+            }
+            
+            this.drop(entry);
+        }
+        
+        if (kept.length !== this.entries.length) {
+            this.entries = kept;
+            this.save();
+        }
+    }
+}
+
+// URL Rules - For the user-editable ignore list and trusted-domain allowlist
+class VirusTotalUrlRules {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.storageKey = "urlRules";
+        this.rules = [];
+        this.matchers = [];
+        this.recentUrls = [];
+        this.MAX_RECENT = 100;
+
+        this.TYPES = {
+            domain: "Exact domain",
+            subdomains: "Domain and subdomains",
+            glob: "Glob (* and ?)",
+            regex: "Regular expression"
+        };
+
+        // The patterns the plugin has always ignored, shipped as removable defaults
+        this.DEFAULT_RULES = [
+            { id: "default-discord-assets", list: "ignore", type: "regex", pattern: "^https:\\/\\/(ptb\\.|canary\\.)?discord\\.com\\/assets\\/" },
+            { id: "default-discord-channels", list: "ignore", type: "regex", pattern: "^https:\\/\\/(ptb\\.|canary\\.)?discord\\.com\\/channels\\/" },
+            { id: "default-discord-media", list: "ignore", type: "subdomains", pattern: "media.discordapp.net" },
+            { id: "default-discord-cdn-images", list: "ignore", type: "regex", pattern: "cdn\\.discordapp\\.com\\/attachments\\/.*\\.(png|jpg|jpeg|gif|webp|svg)(\\?|$)" },
+            { id: "default-discord-proxy", list: "ignore", type: "regex", pattern: "images-ext.*\\.discordapp\\.net" },
+            { id: "default-images", list: "ignore", type: "regex", pattern: "\\.(png|jpg|jpeg|gif|webp|svg)(\\?|$)" },
+            { id: "default-discord-invites", list: "ignore", type: "domain", pattern: "discord.gg" },
+            { id: "default-private-ips", list: "ignore", type: "regex", pattern: "^https?:\\/\\/(localhost|127\\.0\\.0\\.1|192\\.168\\.|10\\.|172\\.(1[6-9]|2[0-9]|3[0-1])\\.)" }
+        ];
+    }
+
+    // Load rules from local storage, starting with the defaults on first run
+    load() {
+        const stored = BdApi.getData("VirusTotalScanner", this.storageKey);
+        this.rules = Array.isArray(stored) ? stored : this.DEFAULT_RULES.map(rule => ({ ...rule }));
+
+        this.compile();
+        return this.rules;
+    }
+
+    // Save rules to local storage
+    save() {
+        BdApi.saveData("VirusTotalScanner", this.storageKey, this.rules);
+        this.compile();
+    }
+
+    // Build a matcher for every valid rule
+    compile() {
+        this.matchers = [];
+
+        for (const rule of this.rules) {
+            try {
+                this.matchers.push({ list: rule.list, test: this.createMatcher(rule.type, rule.pattern) });
+            } catch (error) {
+                this.mainPlugin.log(`ERROR: Skipping invalid ${rule.type} rule "${rule.pattern}": ${error.message}`);
+            }
+        }
+    }
+
+    // Create a function that tests a URL against one rule, throwing if the rule is invalid
+    createMatcher(type, pattern) {
+        const error = this.validate(type, pattern);
+        if (error) throw new Error(error);
+
+        switch (type) {
+            case "domain": {
+                const domain = this.toAsciiDomain(pattern);
+                return url => this.getHost(url) === domain;
+            }
+            case "subdomains": {
+                const domain = this.toAsciiDomain(pattern);
+                return url => {
+                    const host = this.getHost(url);
+                    return host === domain || host.endsWith(`.${domain}`);
+                };
+            }
+            case "glob": {
+                const source = pattern
+                    .split("")
+                    .map(c => c === "*" ? ".*" : c === "?" ? "." : c.replace(/[.+^${}()|[\]\\/]/g, "\\$&"))
+                    .join("");
+                const regex = new RegExp(`^${source}$`, "i");
+                return url => regex.test(url);
+            }
+            case "regex": {
+                const regex = new RegExp(pattern, "i");
+                return url => regex.test(url);
+            }
+        }
+    }
+
+    // Check a rule before it is added, returning an error message or null
+    validate(type, pattern) {
+        if (!pattern || !pattern.trim()) return "Enter a pattern";
+
+        switch (type) {
+            case "domain":
+            case "subdomains":
+                if (/[\s\/\\:?#@%]/.test(pattern.trim()) || !this.toAsciiDomain(pattern)) {
+                    return "Enter a bare domain such as example.com, without a scheme or path";
+                }
+                return null;
+            case "glob":
+                return null;
+            case "regex":
+                try {
+                    new RegExp(pattern, "i");
+                } catch (e) {
+                    return e.message;
+                }
+                return null;
+            default:
+                return `Unknown rule type: ${type}`;
+        }
+    }
+
+    // Get the punycode form of a domain, which is how URLs report internationalised hosts, or an empty string
+    toAsciiDomain(domain) {
+        try {
+            return new URL(`http://${domain.trim()}`).hostname.toLowerCase();
+        } catch (e) {
+            return "";
+        }
+    }
+
+    // Get the lowercased host of a URL, or an empty string
+    getHost(url) {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch (e) {
+            return "";
+        }
+    }
+
+    // Check a URL against every rule in one list
+    matches(list, url) {
+        return this.matchers.some(matcher => matcher.list === list && matcher.test(url));
+    }
+
+    // Should the URL be ignored entirely?
+    isIgnored(url) {
+        return this.matches("ignore", url);
+    }
+
+    // Is the URL on the trusted allowlist?
+    isAllowed(url) {
+        return this.matches("allow", url);
+    }
+
+    // Remember links seen in chat so new rules can be previewed against them
+    recordRecent(url) {
+        const index = this.recentUrls.indexOf(url);
+        if (index !== -1) this.recentUrls.splice(index, 1);
+
+        this.recentUrls.unshift(url);
+        if (this.recentUrls.length > this.MAX_RECENT) {
+            this.recentUrls.length = this.MAX_RECENT;
+        }
+    }
+
+    // Add a rule
+    add(list, type, pattern) {
+        const rule = { id: `rule-${Date.now()}`, list, type, pattern: pattern.trim() };
+        this.rules.push(rule);
+        this.save();
+        return rule;
+    }
+
+    // Remove a rule
+    remove(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.save();
+    }
+
+    // Put back any default rules that were removed
+    restoreDefaults() {
+        for (const rule of this.DEFAULT_RULES) {
+            if (!this.rules.some(existing => existing.id === rule.id)) {
+                this.rules.push({ ...rule });
+            }
+        }
+        this.save();
+    }
+
+    // Add the ignore and allow rule editor to the plugin settings
+    addRuleSettings(panel) {
+        const rulesSection = document.createElement("div");
+        rulesSection.className = "vt-rules-section";
+        rulesSection.style.marginTop = "20px";
+        rulesSection.style.padding = "10px";
+        rulesSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Ignored and Trusted Links";
+        rulesSection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = "Ignored links get no scan button. Trusted links are marked as trusted and are only scanned if you click them.";
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        rulesSection.appendChild(description);
+
+        // New rule form
+        const formGroup = document.createElement("div");
+        formGroup.className = "vt-settings-group";
+
+        const listSelect = document.createElement("select");
+        listSelect.className = "vt-dropdown";
+        listSelect.innerHTML = `
+            <option value="ignore">Ignore</option>
+            <option value="allow">Trust</option>
+        `;
+
+        const typeSelect = document.createElement("select");
+        typeSelect.className = "vt-dropdown";
+        typeSelect.innerHTML = Object.entries(this.TYPES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join("");
+
+        const patternInput = document.createElement("input");
+        patternInput.type = "text";
+        patternInput.placeholder = "e.g. github.com or https://wiki.example.com/*";
+        patternInput.className = "vt-input";
+
+        const preview = document.createElement("div");
+        preview.style.fontSize = "12px";
+        preview.style.marginTop = "5px";
+        preview.style.wordBreak = "break-all";
+
+        const addBtn = document.createElement("button");
+        addBtn.textContent = "Add Rule";
+        addBtn.className = "vt-add-btn";
+
+        // Validate and preview the rule against recently seen links as it is typed
+        const updatePreview = () => {
+            preview.innerHTML = "";
+            if (!patternInput.value.trim()) return;
+
+            let test;
+            try {
+                test = this.createMatcher(typeSelect.value, patternInput.value.trim());
+            } catch (error) {
+                preview.style.color = "#f04747";
+                preview.textContent = error.message;
+                return;
+            }
+
+            const matched = this.recentUrls.filter(url => test(url));
+            preview.style.color = "var(--text-muted)";
+            preview.textContent = this.recentUrls.length === 0 ?
+                "Valid rule. No recent links to preview against yet." :
+                `Matches ${matched.length} of ${this.recentUrls.length} recent links`;
+
+            matched.slice(0, 5).forEach(url => {
+                const item = document.createElement("div");
+                item.textContent = url;
+                preview.appendChild(item);
+            });
+        };
+
+        patternInput.addEventListener("input", updatePreview);
+        typeSelect.addEventListener("change", updatePreview);
+
+        addBtn.addEventListener("click", () => {
+            const error = this.validate(typeSelect.value, patternInput.value);
+            if (error) {
+                BdApi.showToast(error, { type: "error" });
+                return;
+            }
+
+            this.add(listSelect.value, typeSelect.value, patternInput.value);
+            patternInput.value = "";
+            updatePreview();
+            renderRules();
+        });
+
+        formGroup.appendChild(listSelect);
+        formGroup.appendChild(typeSelect);
+        formGroup.appendChild(patternInput);
+        formGroup.appendChild(addBtn);
+        formGroup.appendChild(preview);
+        rulesSection.appendChild(formGroup);
+
+        // Existing rules
+        const rulesList = document.createElement("div");
+        rulesList.className = "vt-rules-list";
+        rulesList.style.marginTop = "10px";
+        rulesSection.appendChild(rulesList);
+
+        const renderRules = () => {
+            rulesList.innerHTML = "";
+
+            if (this.rules.length === 0) {
+                const empty = document.createElement("p");
+                empty.className = "vt-empty-list";
+                empty.textContent = "No ignore or trust rules";
+                rulesList.appendChild(empty);
+                return;
+            }
+
+            this.rules.forEach(rule => {
+                const item = document.createElement("div");
+                item.className = "vt-collection-item";
+
+                const text = document.createElement("span");
+                text.style.wordBreak = "break-all";
+                text.textContent = `${rule.list === "allow" ? "Trust" : "Ignore"} - ${this.TYPES[rule.type] || rule.type}: ${rule.pattern}${rule.id.startsWith("default-") ? " (default)" : ""}`;
+
+                const removeBtn = document.createElement("button");
+                removeBtn.textContent = "Remove";
+                removeBtn.className = "vt-delete-btn";
+                removeBtn.addEventListener("click", () => {
+                    this.remove(rule.id);
+                    renderRules();
+                });
+
+                item.appendChild(text);
+                item.appendChild(removeBtn);
+                rulesList.appendChild(item);
+            });
+        };
+
+        const restoreBtn = document.createElement("button");
+        restoreBtn.textContent = "Restore Default Rules";
+        restoreBtn.className = "vt-add-btn";
+        restoreBtn.style.marginTop = "10px";
+        restoreBtn.addEventListener("click", () => {
+            this.restoreDefaults();
+            renderRules();
+            BdApi.showToast("Default ignore rules restored", { type: "success" });
+        });
+
+        renderRules();
+        rulesSection.appendChild(restoreBtn);
+        panel.appendChild(rulesSection);
+    }
+}
+
+// Lookalike Detector - For spotting typosquats and homoglyph domains of protected brands without any API calls
+class VirusTotalLookalikeDetector {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.results = new Map(); // Host -> match or null
+
+        // Public suffixes with two labels, so example.co.uk is treated like example.com
+        this.MULTI_PART_SUFFIXES = [
+            "co.uk", "org.uk", "ac.uk", "gov.uk", "com.au", "net.au", "org.au", "co.nz", "co.jp",
+            "com.br", "com.cn", "com.mx", "com.tr", "com.ru", "co.in", "co.za", "com.ar", "com.pl"
+        ];
+
+        // Characters that render like ASCII letters, mapped to the letter they imitate
+        this.CONFUSABLES = {
+            "а": "a", "в": "b", "е": "e", "о": "o", "р": "p", "с": "c", "у": "y", "х": "x", "і": "i",
+            "ј": "j", "ѕ": "s", "ԁ": "d", "ԛ": "q", "ԝ": "w", "к": "k", "м": "m", "н": "h", "т": "t",
+            "ӏ": "l", "ɡ": "g", "α": "a", "ο": "o", "ρ": "p", "ν": "v", "τ": "t", "ι": "i", "κ": "k",
+            "υ": "u", "ϲ": "c", "ı": "i", "ł": "l", "ɩ": "i", "ɑ": "a", "ѵ": "v"
+        };
+
+        // QWERTY rows with their horizontal offset, for spotting adjacent-key typos
+        this.KEYBOARD_ROWS = [
+            { keys: "1234567890", offset: 0 },
+            { keys: "qwertyuiop", offset: 0.5 },
+            { keys: "asdfghjkl", offset: 0.75 },
+            { keys: "zxcvbnm", offset: 1.25 }
+        ];
+
+        // Techniques that only show a brand name is used somewhere in a domain, which plenty of fan and
+        // community sites do too. These are shown as a hint but never mark a link on their own
+        this.HINT_TECHNIQUES = ["domain", "embedded", "substitution"];
+        this.VOWELS = "aeiouy";
+    }
+
+    // Forget earlier results after the protected domains change
+    reset() {
+        this.results.clear();
+    }
+
+    // Decode one punycode label (xn--...) to Unicode, per RFC 3492
+    decodePunycode(label) {
+        if (!label.startsWith("xn--")) return label;
+
+        const input = label.slice(4);
+        const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+        const adapt = (delta, numPoints, first) => {
+            delta = first ? Math.floor(delta / damp) : delta >> 1;
+            delta += Math.floor(delta / numPoints);
+            let k = 0;
+            while (delta > ((base - tMin) * tMax) >> 1) {
+                delta = Math.floor(delta / (base - tMin));
+                k += base;
+            }
+            return k + Math.floor((base - tMin + 1) * delta / (delta + skew));
+        };
+
+        const delimiter = input.lastIndexOf("-");
+        const output = delimiter >= 0 ? [...input.slice(0, delimiter)] : [];
+        let position = delimiter >= 0 ? delimiter + 1 : 0;
+        let n = 128, i = 0, bias = 72;
+
+        while (position < input.length) {
+            const oldI = i;
+            let w = 1;
+
+            for (let k = base; ; k += base) {
+                if (position >= input.length) return label;
+
+                const code = input.charCodeAt(position++);
+                const digit = code >= 48 && code <= 57 ? code - 22 : code >= 97 && code <= 122 ? code - 97 : code >= 65 && code <= 90 ? code - 65 : base;
+                if (digit >= base) return label;
+
+                i += digit * w;
+                const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+                if (digit < t) break;
+                w *= base - t;
+            }
+
+            bias = adapt(i - oldI, output.length + 1, oldI === 0);
+            n += Math.floor(i / (output.length + 1));
+            i %= output.length + 1;
+            output.splice(i++, 0, String.fromCodePoint(n));
+        }
+
+        return output.join("");
+    }
+
+    // Get the registrable domain of a host (e.g. login.example.co.uk -> example.co.uk)
+    getRegistrableDomain(host) {
+        const labels = host.split(".");
+        const suffixLength = this.MULTI_PART_SUFFIXES.includes(labels.slice(-2).join(".")) ? 2 : 1;
+        return labels.slice(-(suffixLength + 1)).join(".");
+    }
+
+    // Reduce a label to the ASCII letters it looks like, so lookalikes compare equal
+    getSkeleton(label) {
+        return [...label.normalize("NFD").replace(/[̀-ͯ]/g, "")]
+            .map(c => this.CONFUSABLES[c] || c)
+            .join("")
+            .replace(/rn/g, "m")
+            .replace(/vv/g, "w")
+            .replace(/0/g, "o")
+            .replace(/[1i|]/g, "l");
+    }
+
+    // Optimal string alignment distance (Levenshtein with adjacent transpositions)
+    getEditDistance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
+
+    // Check whether two keys are next to each other on a QWERTY keyboard
+    areAdjacentKeys(a, b) {
+        const locate = key => {
+            const row = this.KEYBOARD_ROWS.findIndex(r => r.keys.includes(key));
+            return row === -1 ? null : { row, x: this.KEYBOARD_ROWS[row].offset + this.KEYBOARD_ROWS[row].keys.indexOf(key) };
+        };
+
+        const first = locate(a);
+        const second = locate(b);
+        if (!first || !second) return false;
+
+        const dy = Math.abs(first.row - second.row);
+        const dx = Math.abs(first.x - second.x);
+        return (dy === 0 && dx === 1) || (dy === 1 && dx <= 1);
+    }
+
+    // Check whether one label is another with a single adjacent-key substitution
+    isKeyboardTypo(label, brand) {
+        if (label.length !== brand.length) return false;
+
+        const differences = [...label].map((c, i) => [c, brand[i]]).filter(([a, b]) => a !== b);
+        return differences.length === 1 && this.areAdjacentKeys(differences[0][0], differences[0][1]);
+    }
+
+    // Check whether a match is strong enough to mark the link as a lookalike
+    isVerdict(match) {
+        return !!match && !this.HINT_TECHNIQUES.includes(match.technique);
+    }
+
+    // Compare a URL's domain with every protected domain, returning why it looks like one or null
+    check(url) {
+        const settings = this.mainPlugin.lookalike;
+        if (!settings.enabled) return null;
+
+        let host;
+        try {
+            host = new URL(url).hostname.toLowerCase();
+        } catch (e) {
+            return null;
+        }
+
+        if (/^[\d.]+$/.test(host) || host.startsWith("[")) return null;
+        if (this.results.has(host)) return this.results.get(host);
+
+        const match = this.findLookalike(host, settings.protectedDomains);
+        this.results.set(host, match);
+        return match;
+    }
+
+    // Check whether a host is one of the protected domains or a subdomain of one
+    isProtected(host, protectedDomains = this.mainPlugin.lookalike.protectedDomains) {
+        return protectedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    }
+
+    // Find the protected domain a host imitates
+    findLookalike(host, protectedDomains) {
+        // The real sites and their subdomains are never lookalikes
+        if (this.isProtected(host, protectedDomains)) return null;
+
+        const unicodeHost = host.split(".").map(label => this.decodePunycode(label)).join(".");
+        const registrable = this.getRegistrableDomain(unicodeHost);
+        const label = registrable.split(".")[0];
+        const tokens = [...new Set([label, ...label.split("-")])].filter(Boolean);
+        const international = unicodeHost !== host;
+
+        for (const domain of protectedDomains) {
+            const brand = this.getRegistrableDomain(domain).split(".")[0];
+            if (brand.length < 3) continue;
+
+            const brandSkeleton = this.getSkeleton(brand);
+
+            for (const token of tokens) {
+                const skeleton = this.getSkeleton(token);
+
+                if (token !== brand && skeleton === brandSkeleton) {
+                    return {
+                        domain,
+                        technique: "homoglyph",
+                        reason: `${registrable} imitates ${domain} using lookalike characters${international ? ` (internationalised domain ${host})` : ""}`
+                    };
+                }
+
+                if (brand.length >= 5 && this.isKeyboardTypo(token, brand)) {
+                    return { domain, technique: "keyboard", reason: `${registrable} is one mistyped key away from ${domain}` };
+                }
+
+                const distance = this.getEditDistance(skeleton, brandSkeleton);
+                if (brand.length >= 5 && distance > 0 && distance <= (brand.length >= 9 ? 2 : 1)) {
+                    // One vowel swapped for another is as likely to be a real word (discard) as a typo
+                    const swapped = [...skeleton].map((c, i) => [c, brandSkeleton[i]]).filter(([a, b]) => a !== b);
+                    const substitution = distance === 1 && skeleton.length === brandSkeleton.length
+                        && swapped.length === 1 && swapped[0].every(c => this.VOWELS.includes(c));
+                    return {
+                        domain,
+                        technique: substitution ? "substitution" : "typo",
+                        reason: `${registrable} is ${distance} character${distance !== 1 ? "s" : ""} away from ${domain}`
+                    };
+                }
+
+                // The brand's own name on another TLD, like steampowered.co
+                if (label === brand) {
+                    return { domain, technique: "tld", reason: `${registrable} uses the name ${brand} on a different domain ending from ${domain}` };
+                }
+
+                // The brand followed by a word, like steamcommunity-trade.ru
+                if (token === brand && label.startsWith(`${brand}-`)) {
+                    return { domain, technique: "combo", reason: `${registrable} adds a word to ${brand} but isn't ${domain}` };
+                }
+
+                if (token === brand) {
+                    return { domain, technique: "domain", reason: `${registrable} uses the name ${brand} but isn't ${domain}` };
+                }
+            }
+
+            // Protected domains used as a subdomain, like epicgames.com.example.ru
+            if (unicodeHost.startsWith(`${domain}.`) || unicodeHost.includes(`.${domain}.`)) {
+                return { domain, technique: "subdomain", reason: `${registrable} puts ${domain} in front of its own domain` };
+            }
+
+            // Brand names with a word run on, like discordnitro.com, or further inside a longer domain
+            const labelSkeleton = this.getSkeleton(label);
+            if (brand.length >= 5 && label !== brand && labelSkeleton.startsWith(brandSkeleton)) {
+                return { domain, technique: "combo", reason: `${registrable} adds a word to ${brand} but isn't ${domain}` };
+            }
+            if (brand.length >= 5 && label !== brand && labelSkeleton.includes(brandSkeleton)) {
+                return { domain, technique: "embedded", reason: `${registrable} contains ${brand} but isn't ${domain}` };
+            }
+        }
+
+        return null;
+    }
+
+    // Add lookalike detection settings to the plugin settings
+    addLookalikeSettings(panel) {
+        const settings = this.mainPlugin.lookalike;
+
+        const lookalikeSection = document.createElement("div");
+        lookalikeSection.className = "vt-lookalike-section";
+        lookalikeSection.style.marginTop = "20px";
+        lookalikeSection.style.padding = "10px";
+        lookalikeSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Lookalike Domains";
+        lookalikeSection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = "Links whose domain imitates a protected domain (typos, swapped keys, lookalike or foreign characters, the brand on another domain ending or with a word added) are marked as lookalikes straight away, even if VirusTotal says they are clean. Domains that only mention the brand further in, like mydiscordfans.com, are shown as a hint in the tooltip instead.";
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        lookalikeSection.appendChild(description);
+
+        // Enable toggle
+        const enabledGroup = document.createElement("div");
+        enabledGroup.className = "vt-settings-group";
+
+        const enabledLabel = document.createElement("h3");
+        enabledLabel.textContent = "Detect lookalike domains";
+
+        const enabledToggle = document.createElement("div");
+        enabledToggle.className = "vt-toggle";
+        enabledToggle.classList.toggle("vt-toggle-checked", settings.enabled);
+        enabledToggle.addEventListener("click", () => {
+            settings.enabled = !settings.enabled;
+            enabledToggle.classList.toggle("vt-toggle-checked", settings.enabled);
+            this.mainPlugin.saveSettings();
+        });
+
+        enabledGroup.appendChild(enabledLabel);
+        enabledGroup.appendChild(enabledToggle);
+        lookalikeSection.appendChild(enabledGroup);
+
+        // Protected domains
+        const domainsGroup = document.createElement("div");
+        domainsGroup.className = "vt-settings-group";
+
+        const domainsLabel = document.createElement("label");
+        domainsLabel.textContent = "Protected domains (one per line)";
+
+        const domainsInput = document.createElement("textarea");
+        domainsInput.className = "vt-input";
+        domainsInput.rows = 6;
+        domainsInput.value = settings.protectedDomains.join("\n");
+        domainsInput.addEventListener("change", () => {
+            settings.protectedDomains = domainsInput.value
+                .split("\n")
+                .map(line => line.trim().toLowerCase().replace(/^https?:\/\//, "").replace(/\/.*$/, ""))
+                .filter(Boolean);
+            this.reset();
+            this.mainPlugin.saveSettings();
+            updateTest();
+        });
+
+        domainsGroup.appendChild(domainsLabel);
+        domainsGroup.appendChild(domainsInput);
+        lookalikeSection.appendChild(domainsGroup);
+
+        // Try out a domain
+        const testGroup = document.createElement("div");
+        testGroup.className = "vt-settings-group";
+
+        const testLabel = document.createElement("label");
+        testLabel.textContent = "Test a domain";
+
+        const testInput = document.createElement("input");
+        testInput.type = "text";
+        testInput.placeholder = "e.g. dlscord-gift.com";
+        testInput.className = "vt-input";
+
+        const testResult = document.createElement("div");
+        testResult.style.fontSize = "12px";
+        testResult.style.marginTop = "5px";
+
+        const updateTest = () => {
+            const value = testInput.value.trim();
+            if (!value) {
+                testResult.textContent = "";
+                return;
+            }
+
+            let host;
+            try {
+                host = new URL(/^https?:\/\//.test(value) ? value : `http://${value}`).hostname;
+            } catch (e) {
+                testResult.style.color = "#f04747";
+                testResult.textContent = "Not a valid domain";
+                return;
+            }
+
+            const match = this.findLookalike(host, settings.protectedDomains);
+            testResult.style.color = this.isVerdict(match) ? "#e67e22" : match ? "#faa61a" : "#43b581";
+            testResult.textContent = !match ? "Not a lookalike of any protected domain"
+                : this.isVerdict(match) ? `Lookalike: ${match.reason}` : `Hint only: ${match.reason}`;
+        };
+
+        testInput.addEventListener("input", updateTest);
+
+        testGroup.appendChild(testLabel);
+        testGroup.appendChild(testInput);
+        testGroup.appendChild(testResult);
+        lookalikeSection.appendChild(testGroup);
+
+        panel.appendChild(lookalikeSection);
+    }
+}
+
+// Heuristics - For scoring scam patterns in a link and its message locally, without using API quota
+class VirusTotalHeuristics {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+
+        // Points each signal adds to the risk score, which is capped at 100
+        this.WEIGHTS = {
+            credentials: 35,
+            lookalike: 30,
+            lookalikeHint: 10,
+            mismatch: 30,
+            rawIp: 25,
+            urlKeywords: 25,
+            embeddedUrl: 20,
+            suspiciousTld: 15,
+            subdomains: 15,
+            messageKeywords: 15,
+            punycode: 10,
+            port: 10,
+            massMention: 10
+        };
+    }
+
+    // Score a link and the message around it, returning the score and the signals that fired
+    score(url, context = {}) {
+        const settings = this.mainPlugin.heuristics;
+        const signals = [];
+        const add = (id, label) => signals.push({ id, label, weight: this.WEIGHTS[id] });
+
+        let urlObj;
+        try {
+            urlObj = new URL(url);
+        } catch (e) {
+            return { score: 0, signals };
+        }
+
+        const host = urlObj.hostname.toLowerCase();
+        const isIp = /^[\d.]+$/.test(host) || host.startsWith("[");
+
+        // The real sites are expected to talk about gifts and Nitro
+        if (this.mainPlugin.lookalikeDetector.isProtected(host)) return { score: 0, signals };
+
+        let rest = urlObj.pathname + urlObj.search;
+        try {
+            rest = decodeURIComponent(rest);
+        } catch (e) {
+            // Malformed escapes - score the raw path instead
+        }
+        rest = rest.toLowerCase();
+        const keywordPattern = new RegExp(`(^|[^a-z])(${settings.keywords.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})([^a-z]|$)`, "i");
+
+        // user:pass@host, where the part before the @ is often made to look like a trusted domain
+        if (urlObj.username || urlObj.password) {
+            add("credentials", `Hides the real host behind "${urlObj.username}@"`);
+        }
+
+        if (isIp) {
+            add("rawIp", "Points at a raw IP address instead of a domain");
+        } else {
+            const tld = host.split(".").pop();
+            if (settings.suspiciousTlds.includes(tld)) {
+                add("suspiciousTld", `Uses the .${tld} top-level domain, common in scams`);
+            }
+
+            const registrable = this.mainPlugin.lookalikeDetector.getRegistrableDomain(host);
+            const subdomains = host === registrable ? 0 : host.slice(0, -registrable.length - 1).split(".").length;
+            if (subdomains >= 3) {
+                add("subdomains", `Has ${subdomains} levels of subdomains`);
+            }
+
+            if (host.split(".").some(label => label.startsWith("xn--"))) {
+                add("punycode", "Uses an internationalised (punycode) domain");
+            }
+
+            const lookalike = this.mainPlugin.lookalikeDetector.check(url);
+            if (lookalike) {
+                add(this.mainPlugin.lookalikeDetector.isVerdict(lookalike) ? "lookalike" : "lookalikeHint", lookalike.reason);
+            }
+        }
+
+        if (urlObj.port) {
+            add("port", `Uses the non-standard port ${urlObj.port}`);
+        }
+
+        if (/(https?:|https?%3a|www\.)/i.test(urlObj.pathname + urlObj.search)) {
+            add("embeddedUrl", "Contains another URL inside it");
+        }
+
+        if (settings.keywords.length > 0 && keywordPattern.test(host + rest)) {
+            add("urlKeywords", "Mentions gifts, Nitro or giveaways in the link");
+        }
+
+        if (context.mismatch) {
+            add("mismatch", `Link text shows ${context.mismatch.shownHost} but opens ${context.mismatch.realHost}`);
+        }
+
+        const message = (context.messageText || "").toLowerCase();
+        if (message) {
+            if (settings.keywords.length > 0 && keywordPattern.test(message.replace(url.toLowerCase(), ""))) {
+                add("messageKeywords", "The message mentions gifts, Nitro or giveaways");
+            }
+
+            if (/@everyone|@here/.test(message)) {
+                add("massMention", "The message pings @everyone or @here");
+            }
+        }
+
+        signals.sort((a, b) => b.weight - a.weight);
+        const score = Math.min(100, signals.reduce((total, signal) => total + signal.weight, 0));
+        return { score, signals };
+    }
+
+    // Get a risk level for styling a score
+    getLevel(score) {
+        if (score >= this.mainPlugin.heuristics.warnScore) return "high";
+        if (score >= 30) return "medium";
+        return "low";
+    }
+
+    // Add heuristics settings to the plugin settings
+    addHeuristicsSettings(panel) {
+        const settings = this.mainPlugin.heuristics;
+
+        const heuristicsSection = document.createElement("div");
+        heuristicsSection.className = "vt-heuristics-section";
+        heuristicsSection.style.marginTop = "20px";
+        heuristicsSection.style.padding = "10px";
+        heuristicsSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Scam Heuristics";
+        heuristicsSection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = "Every link gets a local risk score from 0 to 100, shown on its scan button. It costs no API quota.";
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        heuristicsSection.appendChild(description);
+
+        const addToggle = (label, key) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+
+            const toggleLabel = document.createElement("h3");
+            toggleLabel.textContent = label;
+
+            const toggle = document.createElement("div");
+            toggle.className = "vt-toggle";
+            toggle.classList.toggle("vt-toggle-checked", settings[key]);
+            toggle.addEventListener("click", () => {
+                settings[key] = !settings[key];
+                toggle.classList.toggle("vt-toggle-checked", settings[key]);
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(toggleLabel);
+            group.appendChild(toggle);
+            heuristicsSection.appendChild(group);
+        };
+
+        addToggle("Score links with local heuristics", "enabled");
+        addToggle("Scan high-risk links with VirusTotal straight away, ahead of the queue", "prioritize");
+
+        // Warning threshold
+        const warnGroup = document.createElement("div");
+        warnGroup.className = "vt-settings-group";
+
+        const warnLabel = document.createElement("label");
+        warnLabel.textContent = "Warn when the risk score reaches";
+
+        const warnInput = document.createElement("input");
+        warnInput.type = "number";
+        warnInput.min = "1";
+        warnInput.max = "100";
+        warnInput.value = settings.warnScore;
+        warnInput.className = "vt-input";
+        warnInput.addEventListener("change", () => {
+            settings.warnScore = Math.min(Math.max(parseInt(warnInput.value) || 60, 1), 100);
+            warnInput.value = settings.warnScore;
+            this.mainPlugin.saveSettings();
+        });
+
+        warnGroup.appendChild(warnLabel);
+        warnGroup.appendChild(warnInput);
+        heuristicsSection.appendChild(warnGroup);
+
+        // Editable word lists
+        const addListInput = (label, key) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+
+            const listLabel = document.createElement("label");
+            listLabel.textContent = label;
+
+            const listInput = document.createElement("input");
+            listInput.type = "text";
+            listInput.value = settings[key].join(", ");
+            listInput.className = "vt-input";
+            listInput.addEventListener("change", () => {
+                settings[key] = listInput.value
+                    .split(",")
+                    .map(item => item.trim().toLowerCase().replace(/^\./, ""))
+                    .filter(Boolean);
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(listLabel);
+            group.appendChild(listInput);
+            heuristicsSection.appendChild(group);
+        };
+
+        addListInput("Suspicious top-level domains (comma separated)", "suspiciousTlds");
+        addListInput("Scam keywords (comma separated)", "keywords");
+
+        panel.appendChild(heuristicsSection);
+    }
+}
+
+// Verdict Policy - For turning per-engine detections into a verdict the same way everywhere
+class VirusTotalVerdictPolicy {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+    }
+
+    // Normalise an engine name for comparison
+    normalizeEngine(name) {
+        return String(name).trim().toLowerCase();
+    }
+
+    // Count detections, dropping ignored engines and counting trusted ones twice
+    countDetections(engines, fallback) {
+        const settings = this.mainPlugin.verdictPolicy;
+
+        // Results stored before engine lists were kept only have the raw count
+        if (!Array.isArray(engines)) return { count: fallback || 0, ignored: 0 };
+
+        const trusted = new Set(settings.trustedEngines.map(name => this.normalizeEngine(name)));
+        const ignored = new Set(settings.ignoredEngines.map(name => this.normalizeEngine(name)));
+        let count = 0;
+        let ignoredCount = 0;
+
+        for (const engine of engines) {
+            const name = this.normalizeEngine(engine);
+            if (ignored.has(name)) {
+                ignoredCount++;
+            } else {
+                count += trusted.has(name) ? 2 : 1;
+            }
+        }
+
+        return { count, ignored: ignoredCount };
+    }
+
+    // Get the role an engine plays in the policy, if any
+    getEngineRole(engine) {
+        const settings = this.mainPlugin.verdictPolicy;
+        const name = this.normalizeEngine(engine);
+
+        if (settings.ignoredEngines.some(item => this.normalizeEngine(item) === name)) return "ignored";
+        if (settings.trustedEngines.some(item => this.normalizeEngine(item) === name)) return "trusted";
+        return null;
+    }
+
+    // Evaluate a scan or reputation result against the policy
+    evaluate(scanResult) {
+        if (!scanResult || scanResult.notFound) return { status: "unknown", malicious: 0, suspicious: 0, total: 0 };
+
+        const settings = this.mainPlugin.verdictPolicy;
+        const engines = scanResult.engines || {};
+        const malicious = this.countDetections(engines.malicious, scanResult.malicious);
+        const suspicious = this.countDetections(engines.suspicious, scanResult.suspicious);
+        const total = Math.max((scanResult.totalEngines || 0) - malicious.ignored - suspicious.ignored, 1);
+
+        // Both rules have to pass - a ratio of 0 turns the ratio rule off
+        const maliciousCount = malicious.count + (settings.suspiciousCountsAsMalicious ? suspicious.count : 0);
+        const meetsCount = maliciousCount >= settings.minMalicious;
+        const meetsRatio = settings.maliciousRatio <= 0 || maliciousCount / total >= settings.maliciousRatio;
+
+        let status;
+        if (maliciousCount > 0 && meetsCount && meetsRatio) {
+            status = "malicious";
+        } else if (malicious.count > 0 || malicious.count + suspicious.count >= settings.suspiciousThreshold) {
+            // Malicious detections that fall short of the rules above still count as suspicious
+            status = "suspicious";
+        } else {
+            status = "clean";
+        }
+
+        return { status, malicious: maliciousCount, suspicious: suspicious.count, total };
+    }
+
+    // Evaluate a domain or IP reputation, which colours every link on the host and so needs more engines to agree
+    evaluateHost(hostResult) {
+        const verdict = this.evaluate(hostResult);
+
+        if (verdict.status === "malicious" && verdict.malicious < this.mainPlugin.verdictPolicy.hostMinMalicious) {
+            verdict.status = "suspicious";
+        }
+
+        return verdict;
+    }
+
+    // Add verdict policy settings to the plugin settings
+    addVerdictPolicySettings(panel) {
+        const settings = this.mainPlugin.verdictPolicy;
+
+        const policySection = document.createElement("div");
+        policySection.className = "vt-verdict-policy-section";
+        policySection.style.marginTop = "20px";
+        policySection.style.padding = "10px";
+        policySection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Verdict Policy";
+        policySection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = "Decide how many engines it takes to mark a link, file, domain or IP address. Changes apply to new scans; clear the result cache to re-check links already scanned.";
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        policySection.appendChild(description);
+
+        const addNumberInput = (label, key, min, max, step, fallback) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+
+            const inputLabel = document.createElement("label");
+            inputLabel.textContent = label;
+
+            const input = document.createElement("input");
+            input.type = "number";
+            input.min = String(min);
+            input.max = String(max);
+            input.step = String(step);
+            input.value = settings[key];
+            input.className = "vt-input";
+            input.addEventListener("change", () => {
+                const value = parseFloat(input.value);
+                settings[key] = isNaN(value) ? fallback : Math.min(Math.max(value, min), max);
+                input.value = settings[key];
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(inputLabel);
+            group.appendChild(input);
+            policySection.appendChild(group);
+        };
+
+        addNumberInput("Malicious detections needed to mark as malicious", "minMalicious", 1, 50, 1, 1);
+        addNumberInput("...and at least this share of all engines (0 to 1, 0 turns this rule off)", "maliciousRatio", 0, 1, 0.01, 0);
+        addNumberInput("Detections needed to mark as suspicious (any malicious detection that falls short of the rules above is suspicious too)", "suspiciousThreshold", 1, 50, 1, 5);
+        addNumberInput("Malicious detections needed before a domain or IP address marks its links malicious (fewer mark them suspicious)", "hostMinMalicious", 1, 50, 1, 3);
+
+        // Suspicious toward malicious toggle
+        const suspiciousGroup = document.createElement("div");
+        suspiciousGroup.className = "vt-settings-group";
+
+        const suspiciousLabel = document.createElement("h3");
+        suspiciousLabel.textContent = "Count suspicious detections toward malicious";
+
+        const suspiciousToggle = document.createElement("div");
+        suspiciousToggle.className = "vt-toggle";
+        suspiciousToggle.classList.toggle("vt-toggle-checked", settings.suspiciousCountsAsMalicious);
+        suspiciousToggle.addEventListener("click", () => {
+            settings.suspiciousCountsAsMalicious = !settings.suspiciousCountsAsMalicious;
+            suspiciousToggle.classList.toggle("vt-toggle-checked", settings.suspiciousCountsAsMalicious);
+            this.mainPlugin.saveSettings();
+        });
+
+        suspiciousGroup.appendChild(suspiciousLabel);
+        suspiciousGroup.appendChild(suspiciousToggle);
+        policySection.appendChild(suspiciousGroup);
+
+        // Engine lists
+        const addEngineList = (label, key) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+
+            const listLabel = document.createElement("label");
+            listLabel.textContent = label;
+
+            const listInput = document.createElement("input");
+            listInput.type = "text";
+            listInput.value = settings[key].join(", ");
+            listInput.placeholder = "e.g. Kaspersky, BitDefender";
+            listInput.className = "vt-input";
+            listInput.addEventListener("change", () => {
+                settings[key] = listInput.value
+                    .split(",")
+                    .map(item => item.trim())
+                    .filter(Boolean);
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(listLabel);
+            group.appendChild(listInput);
+            policySection.appendChild(group);
+        };
+
+        addEngineList("Trusted engines, whose detections count double (comma separated)", "trustedEngines");
+        addEngineList("Ignored engines, whose detections never count (comma separated)", "ignoredEngines");
+
+        panel.appendChild(policySection);
+    }
+}
+
+// VirusTotal Provider - VirusTotal lookups go through the rate-limited scan queue, so its verdict is handed over when a scan finishes
+class VirusTotalApiProvider {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.id = "virustotal";
+        this.name = "VirusTotal";
+        this.description = "Uses your VirusTotal API key and quota.";
+    }
+
+    // Turn a finished VirusTotal scan into a provider verdict
+    getVerdict(scanResult, status) {
+        if (scanResult.notFound) {
+            return { status, detail: "Not found on VirusTotal" };
+        }
+
+        const flagged = scanResult.malicious + scanResult.suspicious;
+        return { status, detail: `${flagged}/${scanResult.totalEngines} engines flagged it` };
+    }
+
+    // Nothing extra to configure - the API key is at the top of the settings
+    addSettings() {}
+}
+
+// Blocklist Provider - For domains and URLs the user lists by hand or imports from blocklist files
+class VirusTotalBlocklistProvider {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.id = "blocklist";
+        this.name = "Local blocklist";
+        this.description = "Domains (and their subdomains) or URLs you list yourself or import from files. Matches are blocklisted straight away without any API request.";
+        this.domains = new Map(); // Domain -> name of the list it came from
+        this.urls = new Map(); // Canonical URL -> name of the list it came from
+        this.listErrors = new Map(); // List id -> last import error
+
+        this.FORMATS = {
+            auto: "Detect automatically",
+            hosts: "Hosts file (0.0.0.0 example.com)",
+            list: "Domain or URL list (one per line)",
+            csv: "CSV (URLhaus, PhishTank)"
+        };
+
+        // Names hosts files map to themselves, which aren't blocklist entries
+        this.HOSTS_IGNORED = ["localhost", "localhost.localdomain", "local", "broadcasthost", "ip6-localhost", "ip6-loopback", "0.0.0.0"];
+    }
+
+    // Split one CSV line into fields, honouring quotes
+    parseCsvLine(line) {
+        const fields = [];
+        let field = "";
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quoted) {
+                if (c === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ",") {
+                fields.push(field);
+                field = "";
+            } else {
+                field += c;
+            }
+        }
+
+        fields.push(field);
+        return fields;
+    }
+
+    // Guess the format of a blocklist from its first entry
+    detectFormat(text) {
+        const first = text.split(/\r?\n/).map(line => line.trim()).find(line => line && !line.startsWith("#") && !line.startsWith("!"));
+        if (!first) return "list";
+        if (/^(\d{1,3}(\.\d{1,3}){3}|::1?)\s+\S/.test(first)) return "hosts";
+        if (first.includes(",") || first.startsWith('"')) return "csv";
+        return "list";
+    }
+
+    // Parse a blocklist file into domains and URLs, each URL with any status or threat the file gives
+    parseList(text, format = "auto") {
+        if (format === "auto") format = this.detectFormat(text);
+
+        const domains = [];
+        const urls = [];
+        let columns = null;
+
+        for (const line of text.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith("!")) continue;
+
+            if (trimmed.startsWith("#")) {
+                // URLhaus puts its CSV header in a comment
+                if (format === "csv" && /\burl\b/.test(trimmed) && trimmed.includes(",")) {
+                    columns = this.parseCsvLine(trimmed.replace(/^#\s*/, "")).map(column => column.trim().toLowerCase());
+                }
+                continue;
+            }
+
+            if (format === "hosts") {
+                const names = trimmed.replace(/\s#.*$/, "").split(/\s+/).slice(1);
+                names.filter(name => !this.HOSTS_IGNORED.includes(name.toLowerCase())).forEach(name => domains.push(name.toLowerCase()));
+            } else if (format === "csv") {
+                const fields = this.parseCsvLine(trimmed);
+                const urlIndex = columns ? columns.indexOf("url") : -1;
+                const url = urlIndex !== -1 ? fields[urlIndex] : fields.find(field => /^https?:\/\//i.test(field));
+
+                // A header line (PhishTank) rather than an entry
+                if (!url || !/^https?:\/\//i.test(url)) {
+                    if (!columns && fields.some(field => field.trim().toLowerCase() === "url")) {
+                        columns = fields.map(column => column.trim().toLowerCase());
+                    }
+                    continue;
+                }
+
+                const column = name => columns && columns.indexOf(name) !== -1 ? fields[columns.indexOf(name)] : null;
+                const online = column("online");
+                urls.push({
+                    url,
+                    status: column("url_status") || (online ? (online === "yes" ? "online" : "offline") : null),
+                    threat: column("threat") || column("target") || null
+                });
+            } else {
+                // Adblock-style ||example.com^ entries are domains too
+                const entry = trimmed.replace(/\s#.*$/, "").replace(/^\|\|/, "").replace(/\^$/, "");
+                if (/^https?:\/\//i.test(entry)) {
+                    urls.push({ url: entry, status: null, threat: null });
+                } else if (/^[a-z0-9.-]+\.[a-z0-9-]+$/i.test(entry)) {
+                    domains.push(entry.toLowerCase());
+                }
+            }
+        }
+
+        return { format, domains, urls };
+    }
+
+    // Read every imported list from disk, rebuild the lookup index and re-check links already scanned against it
+    async load() {
+        const domains = new Map();
+        const urls = new Map();
+
+        for (const list of this.mainPlugin.providers.blocklist.lists) {
+            try {
+                await this.importList(list, domains, urls);
+            } catch (error) {
+                this.listErrors.set(list.id, error.message);
+                this.mainPlugin.log(`ERROR: Failed to load blocklist ${list.name}: ${error.message}`);
+            }
+        }
+
+        // Swap the new index in at once, so lookups never see a half-built one
+        this.domains = domains;
+        this.urls = urls;
+        this.mainPlugin.reapplyBlocklists();
+    }
+
+    // Read one list from disk into an index and record its counts
+    async importList(list, domains = this.domains, urls = this.urls) {
+        const text = await require("fs").promises.readFile(list.path, "utf8");
+        const parsed = this.parseList(text, list.format);
+
+        parsed.domains.forEach(domain => domains.set(domain, list.name));
+        parsed.urls.forEach(({ url }) => urls.set(this.mainPlugin.sanitizeUrl(url), list.name));
+
+        list.detectedFormat = parsed.format;
+        list.domainCount = parsed.domains.length;
+        list.urlCount = parsed.urls.length;
+        list.importedAt = Date.now();
+        this.listErrors.delete(list.id);
+
+        this.mainPlugin.log(`Imported blocklist ${list.name}: ${list.domainCount} domains, ${list.urlCount} URLs`);
+    }
+
+    // Find the list that blocks a URL - exact URLs first, then the host and each parent domain
+    lookup(url) {
+        if (this.urls.has(url)) {
+            return { list: this.urls.get(url), entry: url };
+        }
+
+        const host = this.mainPlugin.urlRules.getHost(url);
+        const labels = host.split(".");
+        for (let i = 0; i < labels.length - 1; i++) {
+            const domain = labels.slice(i).join(".");
+            if (this.domains.has(domain)) {
+                return { list: this.domains.get(domain), entry: domain };
+            }
+        }
+
+        // Entries typed into the settings
+        const withoutScheme = value => value.toLowerCase().replace(/^[a-z]+:\/\//, "");
+        for (const entry of this.mainPlugin.providers.blocklist.entries) {
+            const listed = entry.includes("/") ?
+                withoutScheme(url).startsWith(withoutScheme(entry)) :
+                host === entry || host.endsWith(`.${entry}`);
+
+            if (listed) {
+                return { list: "Manual entries", entry };
+            }
+        }
+
+        return null;
+    }
+
+    // Check a URL against the lists
+    check(url) {
+        const match = this.lookup(url);
+        if (!match) return null;
+
+        return { status: "blocklisted", detail: `Listed in ${match.list} (${match.entry})` };
+    }
+
+    // Add the manual list and the imported blocklists
+    addSettings(container) {
+        const settings = this.mainPlugin.providers.blocklist;
+
+        const entriesLabel = document.createElement("label");
+        entriesLabel.textContent = "Blocked domains or URLs (one per line)";
+
+        const entriesInput = document.createElement("textarea");
+        entriesInput.className = "vt-input";
+        entriesInput.rows = 4;
+        entriesInput.value = settings.entries.join("\n");
+        entriesInput.addEventListener("change", () => {
+            settings.entries = entriesInput.value
+                .split("\n")
+                .map(line => line.trim().toLowerCase())
+                .filter(Boolean);
+            this.mainPlugin.saveSettings();
+            this.mainPlugin.reapplyBlocklists();
+        });
+
+        container.appendChild(entriesLabel);
+        container.appendChild(entriesInput);
+
+        // Import form
+        const importTitle = document.createElement("label");
+        importTitle.textContent = "Import a blocklist file";
+        importTitle.style.display = "block";
+        importTitle.style.marginTop = "10px";
+
+        const pathInput = document.createElement("input");
+        pathInput.type = "text";
+        pathInput.placeholder = "File path, e.g. C:\\blocklists\\soc-domains.txt";
+        pathInput.className = "vt-input";
+
+        const nameInput = document.createElement("input");
+        nameInput.type = "text";
+        nameInput.placeholder = "List name shown in verdicts, e.g. SOC domains";
+        nameInput.className = "vt-input";
+
+        const formatSelect = document.createElement("select");
+        formatSelect.className = "vt-dropdown";
+        formatSelect.innerHTML = Object.entries(this.FORMATS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join("");
+
+        const importBtn = document.createElement("button");
+        importBtn.textContent = "Import";
+        importBtn.className = "vt-add-btn";
+        importBtn.addEventListener("click", async () => {
+            const path = pathInput.value.trim();
+            if (!path) {
+                BdApi.showToast("Enter the path of a blocklist file", { type: "error" });
+                return;
+            }
+
+            const list = {
+                id: `list-${Date.now()}`,
+                path,
+                name: nameInput.value.trim() || path.split(/[\\/]/).pop(),
+                format: formatSelect.value
+            };
+
+            try {
+                await this.importList(list);
+            } catch (error) {
+                BdApi.showToast(`Could not import blocklist: ${error.message}`, { type: "error" });
+                return;
+            }
+
+            settings.lists.push(list);
+            this.mainPlugin.saveSettings();
+            this.mainPlugin.reapplyBlocklists();
+            BdApi.showToast(`Imported ${list.name}: ${list.domainCount} domains, ${list.urlCount} URLs`, { type: "success" });
+            pathInput.value = "";
+            nameInput.value = "";
+            renderLists();
+        });
+
+        container.appendChild(importTitle);
+        container.appendChild(pathInput);
+        container.appendChild(nameInput);
+        container.appendChild(formatSelect);
+        container.appendChild(importBtn);
+
+        // Imported lists with counts, import time, reload and remove
+        const listContainer = document.createElement("div");
+        listContainer.style.marginTop = "10px";
+        container.appendChild(listContainer);
+
+        const renderLists = () => {
+            listContainer.innerHTML = "";
+
+            if (settings.lists.length === 0) {
+                const empty = document.createElement("p");
+                empty.className = "vt-empty-list";
+                empty.textContent = "No imported blocklists";
+                listContainer.appendChild(empty);
+                return;
+            }
+
+            settings.lists.forEach(list => {
+                const item = document.createElement("div");
+                item.className = "vt-collection-item";
+
+                const text = document.createElement("div");
+                text.style.wordBreak = "break-all";
+
+                const title = document.createElement("div");
+                title.textContent = `${list.name} - ${list.domainCount || 0} domains, ${list.urlCount || 0} URLs`;
+
+                const details = document.createElement("div");
+                details.style.fontSize = "12px";
+                details.style.color = this.listErrors.has(list.id) ? "#f04747" : "var(--text-muted)";
+                details.textContent = this.listErrors.has(list.id) ?
+                    `Failed to load: ${this.listErrors.get(list.id)}` :
+                    `${this.FORMATS[list.detectedFormat] || list.format}, imported ${list.importedAt ? new Date(list.importedAt).toLocaleString() : "never"} from ${list.path}`;
+
+                text.appendChild(title);
+                text.appendChild(details);
+
+                const reloadBtn = document.createElement("button");
+                reloadBtn.textContent = "Reload";
+                reloadBtn.className = "vt-add-btn";
+                reloadBtn.addEventListener("click", async () => {
+                    // Rebuild the whole index so entries removed from the file are dropped
+                    await this.load();
+                    this.mainPlugin.saveSettings();
+
+                    if (this.listErrors.has(list.id)) {
+                        BdApi.showToast(`Could not reload ${list.name}: ${this.listErrors.get(list.id)}`, { type: "error" });
+                    } else {
+                        BdApi.showToast(`Reloaded ${list.name}`, { type: "success" });
+                    }
+                    renderLists();
+                });
+
+                const removeBtn = document.createElement("button");
+                removeBtn.textContent = "Remove";
+                removeBtn.className = "vt-delete-btn";
+                removeBtn.addEventListener("click", async () => {
+                    settings.lists = settings.lists.filter(existing => existing.id !== list.id);
+                    this.listErrors.delete(list.id);
+                    await this.load();
+                    this.mainPlugin.saveSettings();
+                    renderLists();
+                });
+
+                item.appendChild(text);
+                item.appendChild(reloadBtn);
+                item.appendChild(removeBtn);
+                listContainer.appendChild(item);
+            });
+        };
+
+        renderLists();
+    }
+}
+
+// Feed Provider - For URLhaus-style feed files of known malicious URLs
+class VirusTotalFeedProvider {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.id = "feed";
+        this.name = "URL feed";
+        this.description = "A URLhaus CSV export or a plain list of URLs, read from a file on this computer.";
+        this.entries = new Map(); // Canonical URL -> feed details
+    }
+
+    // Read and parse the feed file in the background
+    async load() {
+        const path = this.mainPlugin.providers.feed.path;
+        if (!path) {
+            this.entries = new Map();
+            return 0;
+        }
+
+        // Same parser as imported blocklists, but only the URLs (with their status and threat) are used
+        const text = await require("fs").promises.readFile(path, "utf8");
+        const parsed = this.mainPlugin.scanProviders.get("blocklist").parseList(text);
+
+        // Swap the new entries in at once, so lookups never see a half-read feed
+        const entries = new Map();
+        for (const { url, status, threat } of parsed.urls) {
+            entries.set(this.mainPlugin.sanitizeUrl(url), { status, threat });
+        }
+        this.entries = entries;
+
+        this.mainPlugin.log(`Loaded ${this.entries.size} URLs from feed ${path}`);
+        return this.entries.size;
+    }
+
+    // Check a URL against the feed - URLs the feed reports as offline count as suspicious
+    check(url) {
+        const entry = this.entries.get(url);
+        if (!entry) return null;
+
+        const details = [entry.threat, entry.status].filter(Boolean).join(", ");
+        return {
+            status: entry.status === "offline" ? "suspicious" : "malicious",
+            detail: `In feed${details ? ` (${details})` : ""}`
+        };
+    }
+
+    // Add the feed file path and a reload button
+    addSettings(container) {
+        const settings = this.mainPlugin.providers.feed;
+
+        const pathLabel = document.createElement("label");
+        pathLabel.textContent = "Feed file path";
+
+        const pathInput = document.createElement("input");
+        pathInput.type = "text";
+        pathInput.placeholder = "e.g. C:\\feeds\\urlhaus.csv";
+        pathInput.value = settings.path;
+        pathInput.className = "vt-input";
+
+        const feedInfo = document.createElement("div");
+        feedInfo.style.fontSize = "12px";
+        feedInfo.style.color = "var(--text-muted)";
+        feedInfo.textContent = `${this.entries.size} URLs loaded`;
+
+        const reloadBtn = document.createElement("button");
+        reloadBtn.textContent = "Load Feed";
+        reloadBtn.className = "vt-add-btn";
+        reloadBtn.addEventListener("click", async () => {
+            settings.path = pathInput.value.trim();
+            this.mainPlugin.saveSettings();
+
+            try {
+                const count = await this.load();
+                feedInfo.textContent = `${count} URLs loaded`;
+                BdApi.showToast(`Loaded ${count} URLs from feed`, { type: "success" });
+            } catch (error) {
+                this.mainPlugin.log(`ERROR: Failed to load feed: ${error.message}`);
+                BdApi.showToast(`Could not load feed: ${error.message}`, { type: "error" });
+            }
+        });
+
+        container.appendChild(pathLabel);
+        container.appendChild(pathInput);
+        container.appendChild(feedInfo);
+        container.appendChild(reloadBtn);
+    }
+}
+
+// HTTP Reputation Provider - For an internal reputation service that answers with JSON
+class VirusTotalHttpReputationProvider {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.id = "http";
+        this.name = "Reputation service";
+        this.description = "GETs the endpoint with {url} replaced by the link and expects JSON like {\"verdict\": \"malicious\", \"reason\": \"...\"}.";
+        this.async = true;
+    }
+
+    // Ask the reputation service about a URL
+    async check(url) {
+        const settings = this.mainPlugin.providers.http;
+        if (!settings.endpoint) return null;
+
+        const headers = { accept: "application/json" };
+        if (settings.headerName) {
+            headers[settings.headerName] = settings.headerValue;
+        }
+
+        const response = await BdApi.Net.fetch(settings.endpoint.replace("{url}", encodeURIComponent(url)), {
+            method: "GET",
+            headers,
+            timeout: settings.timeout
+        });
+
+        if (!response.ok) {
+            throw new Error(`Reputation service returned ${response.status}`);
+        }
+
+        const data = await response.json();
+        const verdict = String(data.verdict || data.status || "").toLowerCase();
+        const status = verdict === "harmless" ? "clean" : verdict;
+        if (!["malicious", "suspicious", "clean", "unknown"].includes(status)) return null;
+
+        return { status, detail: data.reason || data.detail || null };
+    }
+
+    // Add the endpoint, auth header and timeout fields
+    addSettings(container) {
+        const settings = this.mainPlugin.providers.http;
+
+        const addInput = (label, key, placeholder, type = "text") => {
+            const inputLabel = document.createElement("label");
+            inputLabel.textContent = label;
+
+            const input = document.createElement("input");
+            input.type = type;
+            input.placeholder = placeholder;
+            input.value = settings[key];
+            input.className = "vt-input";
+            input.addEventListener("change", () => {
+                settings[key] = type === "number" ? (parseInt(input.value) || 5000) : input.value.trim();
+                this.mainPlugin.saveSettings();
+            });
+
+            container.appendChild(inputLabel);
+            container.appendChild(input);
+        };
+
+        addInput("Endpoint", "endpoint", "https://reputation.example.internal/check?url={url}");
+        addInput("Auth header name (optional)", "headerName", "e.g. Authorization");
+        addInput("Auth header value", "headerValue", "e.g. Bearer ...", "password");
+        addInput("Timeout (ms)", "timeout", "5000", "number");
+    }
+}
+
+// Scan Providers - For running every enabled provider on a link and merging their verdicts with a policy
+class VirusTotalScanProviders {
+    constructor(mainPlugin) {
+        this.mainPlugin = mainPlugin;
+        this.virusTotal = new VirusTotalApiProvider(mainPlugin);
+        this.providers = [
+            this.virusTotal,
+            new VirusTotalBlocklistProvider(mainPlugin),
+            new VirusTotalFeedProvider(mainPlugin),
+            new VirusTotalHttpReputationProvider(mainPlugin)
+        ];
+        this.asyncChecks = new Map(); // URL -> { promise, verdicts, checkedAt, retryAt }
+        this.ASYNC_TTL = 3600000;
+        this.ASYNC_RETRY_DELAY = 60000; // Wait before asking a provider that failed again
+        this.MAX_ASYNC_CHECKS = 1000;
+
+        // How much each verdict counts towards the weighted policy
+        this.VERDICT_SCORES = { clean: 0, suspicious: 0.5, malicious: 1 };
+    }
+
+    // Load provider data that lives outside the settings - files are read in the background
+    load() {
+        this.loadProvider("blocklist");
+        this.loadProvider("feed");
+    }
+
+    // Read an enabled provider's files, leaving disabled providers unloaded until they are turned on
+    loadProvider(id) {
+        if (!this.isEnabled(id)) return;
+
+        if (id === "blocklist") {
+            this.get("blocklist").load();
+        } else if (id === "feed" && this.mainPlugin.providers.feed.path) {
+            this.get("feed").load().catch(error => {
+                this.mainPlugin.log(`ERROR: Failed to load feed: ${error.message}`);
+            });
+        }
+    }
+
+    // Find the blocklist entry for a URL, if the blocklist provider is on
+    findBlocklisted(url) {
+        return this.isEnabled("blocklist") ? this.get("blocklist").lookup(url) : null;
+    }
+
+    // Get a provider by id
+    get(id) {
+        return this.providers.find(provider => provider.id === id);
+    }
+
+    // Check whether a provider is turned on
+    isEnabled(id) {
+        return !!this.mainPlugin.providers[id]?.enabled;
+    }
+
+    // Check whether scans should go to VirusTotal
+    usesVirusTotal() {
+        return this.isEnabled("virustotal") && !!this.mainPlugin.apiKey;
+    }
+
+    // Check whether any provider is able to scan at all
+    hasAnyProvider() {
+        return this.usesVirusTotal() || this.providers.some(provider => provider !== this.virusTotal && this.isEnabled(provider.id));
+    }
+
+    // Check whether a URL's async verdicts are missing or older than the TTL
+    isAsyncStale(url) {
+        const existing = this.asyncChecks.get(url);
+        return !existing || Date.now() - existing.checkedAt >= this.ASYNC_TTL;
+    }
+
+    // Run the asynchronous providers for a URL, calling back when their verdicts arrive
+    checkAsync(url) {
+        const existing = this.asyncChecks.get(url);
+        if (existing && (existing.promise || !this.isAsyncStale(url) || Date.now() < existing.retryAt)) {
+            return existing.promise || Promise.resolve(existing.verdicts);
+        }
+
+        const providers = this.providers.filter(provider => provider.async && this.isEnabled(provider.id));
+        if (providers.length === 0) return Promise.resolve([]);
+
+        // Earlier verdicts stay in use while the new ones are fetched
+        const entry = existing || { promise: null, verdicts: [], checkedAt: 0, retryAt: 0 };
+        let failed = false;
+        entry.promise = Promise.all(providers.map(async provider => {
+            try {
+                const verdict = await provider.check(url);
+                return verdict ? this.describe(provider, verdict) : null;
+            } catch (error) {
+                this.mainPlugin.log(`ERROR: ${provider.name} check failed for ${url}: ${error.message}`);
+                failed = true;
+                return null;
+            }
+        })).then(verdicts => {
+            entry.promise = null;
+
+            // A failed provider has no opinion yet, so the check is retried instead of trusted for the TTL
+            if (failed) {
+                entry.retryAt = Date.now() + this.ASYNC_RETRY_DELAY;
+                return entry.verdicts;
+            }
+
+            entry.verdicts = verdicts.filter(Boolean);
+            entry.checkedAt = Date.now();
+            entry.retryAt = 0;
+            this.mainPlugin.refreshProviderVerdicts(url);
+            return entry.verdicts;
+        });
+
+        // Re-insert so the most recently checked URLs are evicted last
+        this.asyncChecks.delete(url);
+        this.asyncChecks.set(url, entry);
+        this.evictAsyncChecks();
+        return entry.promise;
+    }
+
+    // Drop the oldest finished checks once there are too many
+    evictAsyncChecks() {
+        for (const [url, entry] of this.asyncChecks) {
+            if (this.asyncChecks.size <= this.MAX_ASYNC_CHECKS) break;
+            if (!entry.promise) this.asyncChecks.delete(url);
+        }
+    }
+
+    // Attach the provider's name and weight to a verdict
+    describe(provider, verdict) {
+        return {
+            id: provider.id,
+            name: provider.name,
+            status: verdict.status,
+            detail: verdict.detail || null,
+            weight: this.mainPlugin.providers[provider.id].weight
+        };
+    }
+
+    // Gather every verdict available for a URL - VirusTotal's, the local providers' and any finished async checks
+    collectVerdicts(url, scanResult, vtStatus) {
+        const verdicts = [];
+
+        if (vtStatus) {
+            verdicts.push(this.describe(this.virusTotal, this.virusTotal.getVerdict(scanResult, vtStatus)));
+        }
+
+        for (const provider of this.providers) {
+            if (provider === this.virusTotal || provider.async || !this.isEnabled(provider.id)) continue;
+
+            const verdict = provider.check(url);
+            if (verdict) {
+                verdicts.push(this.describe(provider, verdict));
+            }
+        }
+
+        // Async providers may still be running - their verdicts are merged in when they arrive
+        const asyncCheck = this.asyncChecks.get(url);
+        if (asyncCheck) {
+            verdicts.push(...asyncCheck.verdicts.filter(verdict => this.isEnabled(verdict.id)));
+        }
+        if (this.isAsyncStale(url)) {
+            this.checkAsync(url);
+        }
+
+        return verdicts;
+    }
+
+    // Merge provider verdicts into one status using the configured policy
+    merge(verdicts) {
+        const settings = this.mainPlugin.providers;
+        const opinions = verdicts.filter(verdict => verdict.weight > 0 && verdict.status in this.VERDICT_SCORES);
+
+        // A blocklist entry is a decision, not an opinion to be averaged
+        if (verdicts.some(verdict => verdict.status === "blocklisted" && verdict.weight > 0)) return "blocklisted";
+
+        if (opinions.length === 0) return "unknown";
+
+        if (settings.policy === "weighted") {
+            const totalWeight = opinions.reduce((total, verdict) => total + verdict.weight, 0);
+            const score = opinions.reduce((total, verdict) => total + verdict.weight * this.VERDICT_SCORES[verdict.status], 0) / totalWeight;
+
+            if (score >= settings.maliciousAt) return "malicious";
+            if (score >= settings.suspiciousAt) return "suspicious";
+            return "clean";
+        }
+
+        // Worst verdict wins
+        return this.mainPlugin.getWorstStatus(...opinions.map(verdict => verdict.status));
+    }
+
+    // Add provider settings to the plugin settings
+    addProviderSettings(panel) {
+        const settings = this.mainPlugin.providers;
+
+        const providerSection = document.createElement("div");
+        providerSection.className = "vt-provider-section";
+        providerSection.style.marginTop = "20px";
+        providerSection.style.padding = "10px";
+        providerSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Scan Providers";
+        providerSection.appendChild(sectionTitle);
+
+        const description = document.createElement("p");
+        description.textContent = "Links are checked by every enabled provider and their verdicts are merged. A provider with weight 0 is shown in the tooltip but doesn't affect the verdict.";
+        description.style.color = "var(--text-muted)";
+        description.style.fontSize = "12px";
+        providerSection.appendChild(description);
+
+        // Merge policy
+        const policyGroup = document.createElement("div");
+        policyGroup.className = "vt-settings-group";
+
+        const policyLabel = document.createElement("label");
+        policyLabel.textContent = "Merge policy";
+
+        const policySelect = document.createElement("select");
+        policySelect.className = "vt-dropdown";
+        policySelect.innerHTML = `
+            <option value="worst">Worst verdict wins</option>
+            <option value="weighted">Weighted average</option>
+        `;
+        policySelect.value = settings.policy;
+
+        const thresholds = document.createElement("div");
+
+        const addThreshold = (label, key) => {
+            const thresholdLabel = document.createElement("label");
+            thresholdLabel.textContent = label;
+
+            const thresholdInput = document.createElement("input");
+            thresholdInput.type = "number";
+            thresholdInput.min = "0";
+            thresholdInput.max = "1";
+            thresholdInput.step = "0.05";
+            thresholdInput.value = settings[key];
+            thresholdInput.className = "vt-input";
+            thresholdInput.addEventListener("change", () => {
+                const value = parseFloat(thresholdInput.value);
+                settings[key] = isNaN(value) ? settings[key] : Math.min(Math.max(value, 0), 1);
+                thresholdInput.value = settings[key];
+                this.mainPlugin.saveSettings();
+            });
+
+            thresholds.appendChild(thresholdLabel);
+            thresholds.appendChild(thresholdInput);
+        };
+
+        addThreshold("Weighted score for malicious (0-1, where malicious = 1 and suspicious = 0.5)", "maliciousAt");
+        addThreshold("Weighted score for suspicious (0-1)", "suspiciousAt");
+        thresholds.style.display = settings.policy === "weighted" ? "" : "none";
+
+        policySelect.addEventListener("change", () => {
+            settings.policy = policySelect.value;
+            thresholds.style.display = settings.policy === "weighted" ? "" : "none";
+            this.mainPlugin.saveSettings();
+        });
+
+        policyGroup.appendChild(policyLabel);
+        policyGroup.appendChild(policySelect);
+        policyGroup.appendChild(thresholds);
+        providerSection.appendChild(policyGroup);
+
+        // One group per provider
+        for (const provider of this.providers) {
+            const providerSettings = settings[provider.id];
+
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+            group.style.padding = "8px";
+            group.style.borderRadius = "4px";
+            group.style.backgroundColor = "var(--background-secondary-alt, rgba(0, 0, 0, 0.1))";
+
+            const providerLabel = document.createElement("h3");
+            providerLabel.textContent = provider.name;
+
+            const providerDescription = document.createElement("div");
+            providerDescription.textContent = provider.description;
+            providerDescription.style.fontSize = "12px";
+            providerDescription.style.color = "var(--text-muted)";
+
+            const toggle = document.createElement("div");
+            toggle.className = "vt-toggle";
+            toggle.classList.toggle("vt-toggle-checked", providerSettings.enabled);
+            toggle.addEventListener("click", () => {
+                providerSettings.enabled = !providerSettings.enabled;
+                toggle.classList.toggle("vt-toggle-checked", providerSettings.enabled);
+                this.mainPlugin.saveSettings();
+                this.loadProvider(provider.id);
+            });
+
+            const weightLabel = document.createElement("label");
+            weightLabel.textContent = "Weight";
+
+            const weightInput = document.createElement("input");
+            weightInput.type = "number";
+            weightInput.min = "0";
+            weightInput.step = "0.5";
+            weightInput.value = providerSettings.weight;
+            weightInput.className = "vt-input";
+            weightInput.addEventListener("change", () => {
+                const weight = parseFloat(weightInput.value);
+                providerSettings.weight = isNaN(weight) || weight < 0 ? 0 : weight;
+                this.mainPlugin.saveSettings();
+            });
+
+            group.appendChild(providerLabel);
+            group.appendChild(providerDescription);
+            group.appendChild(toggle);
+            group.appendChild(weightLabel);
+            group.appendChild(weightInput);
+            provider.addSettings(group);
+            providerSection.appendChild(group);
+        }
+
+        panel.appendChild(providerSection);
+    }
+}
+
+// Main Plugin Class
+module.exports = class VirusTotalScanner {
+    constructor() {
+        this.initialized = false;
+        this.enabled = true;
+        this.debug = false;
+        this.queueTimer = null;
+        this.queueBusy = false;
+        this.processedUrls = new Map(); // Track already processed URLs and their status
+        
+        // How long each verdict stays in the persistent result cache, in hours
+        this.cacheTtl = { blocklisted: 168, malicious: 168, suspicious: 72, clean: 24, unknown: 6 };
+        
+        // Statuses from least to most severe, for combining verdicts
+        this.STATUS_SEVERITY = ["clean", "unknown", "suspicious", "lookalike", "malicious", "blocklisted"];
+        
+        // Verdict policy - how many engines it takes to mark a link, file or host
+        this.verdictPolicy = {
+            minMalicious: 1,
+            maliciousRatio: 0,
+            suspiciousThreshold: 5,
+            hostMinMalicious: 3,
+            suspiciousCountsAsMalicious: false,
+            trustedEngines: [],
+            ignoredEngines: []
+        };
+        
+        // Results whose last VirusTotal analysis is older than this many days are marked stale (0 turns this off)
+        this.staleAfterDays = 30;
+        
+        // Also check the reputation of each link's domain or IP address
+        this.hostLookups = true;
+        
+        // Redirect chains - "virustotal" uses what VirusTotal recorded, "local" follows shorteners itself
+        this.redirects = {
+            resolver: "virustotal",
+            shorteners: ["bit.ly", "tinyurl.com", "t.co", "goo.gl", "ow.ly", "is.gd", "buff.ly", "cutt.ly", "rebrand.ly", "shorturl.at", "rb.gy", "tiny.cc", "s.id"],
+            maxHops: 5
+        };
+        this.redirectParents = new Map(); // Redirect hop -> URLs that redirect through it
+        
+        // Lookalike detection - domains imitating these are flagged before any API call
+        this.lookalike = {
+            enabled: true,
+            protectedDomains: [
+                "discord.com", "discord.gg", "discordapp.com", "discordapp.net", "discord.gift", "discord.gifts",
+                "discord.media", "discord.new", "discord.dev", "discord.co", "discord.store", "discordstatus.com",
+                "discordcdn.com", "steamcommunity.com", "steampowered.com", "steamstatic.com", "steamusercontent.com",
+                "epicgames.com", "epicgames.dev", "unrealengine.com", "paypal.com", "paypal.me", "paypalobjects.com"
+            ]
+        };
+        
+        // Scan providers - VirusTotal plus optional local and internal sources, merged by a policy
+        this.providers = {
+            policy: "worst",
+            maliciousAt: 0.5,
+            suspiciousAt: 0.25,
+            virustotal: { enabled: true, weight: 1 },
+            blocklist: { enabled: false, weight: 1, entries: [], lists: [] },
+            feed: { enabled: false, weight: 1, path: "" },
+            http: { enabled: false, weight: 1, endpoint: "", headerName: "", headerValue: "", timeout: 5000 }
+        };
+        
+        // Scam heuristics - a local risk score for every link
+        this.heuristics = {
+            enabled: true,
+            warnScore: 60,
+            prioritize: false,
+            suspiciousTlds: ["tk", "ml", "ga", "cf", "gq", "xyz", "top", "icu", "click", "gift", "zip", "mov", "cam", "rest", "monster"],
+            keywords: ["nitro", "gift", "free", "giveaway", "airdrop", "claim", "steam", "skins", "promo", "verify"]
+        };
+        this.riskWarnedUrls = new Set();
+        
+        // Click protection - warn before risky links open, and optionally scan unscanned ones first
+        this.clickProtection = {
+            enabled: true,
+            openDelay: 3,
+            scanUnscanned: false,
+            waitTimeout: 30
+        };
+        
+        // Alerts - which verdicts raise one, and how loudly
+        this.notifications = {
+            includeSuspicious: false,
+            dedupeMinutes: 10,
+            desktop: false,
+            sound: false,
+            soundUrl: "",
+            volume: 0.5,
+            respectDnd: true,
+            quietHours: { enabled: false, start: "22:00", end: "08:00" }
+        };
+        
+        // Link posters - per-user counts of the links they post, recorded per server
+        this.authorTracking = {
+            enabled: true,
+            dms: false,
+            guilds: {},
+            riskyMalicious: 1,
+            riskySuspicious: 3
+        };
+        
+        // Also scan URLs written as plain text, in code blocks or defanged (hxxps://evil[.]com)
+        this.scanPlainText = true;
+        this.splitTextNodes = new Set(); // Discord text nodes whose URLs were wrapped in place
+        this.OWN_NODE_SELECTOR = '.vt-scan-button, .vt-text-url, .vt-mismatch-badge, .vt-author-badge, .vt-tooltip';
+        this.TEXT_URL_TLDS = [
+            "com", "net", "org", "info", "biz", "io", "co", "me", "xyz", "top", "site", "online", "app", "dev",
+            "club", "shop", "live", "link", "click", "store", "icu", "gg", "ly", "to", "cc", "tk", "ml", "ga",
+            "cf", "gq", "ru", "su", "cn", "uk", "de", "fr", "nl", "eu", "us", "ca", "au", "br", "in", "jp", "gov", "edu",
+            // Endings popular with gift and giveaway scams
+            "gift", "gifts", "pw", "cfd", "sbs", "lol", "fun", "vip", "win", "bond", "buzz", "cyou", "rest", "today", "pro", "ws"
+        ];
+        
+        // File extensions that are also TLDs, so masked link text like README.md isn't read as a domain
+        this.FILE_NAME_TLDS = ["md", "py", "sh", "rs", "pl", "ps"];
+        
+        // Canonicalisation - variants of a link share one cache entry and one scan
+        this.canonicalization = {
+            enabled: true,
+            stripFragments: true,
+            trimTrailingSlash: true,
+            trackingParams: [
+                "utm_*", "fbclid", "gclid", "dclid", "gbraid", "wbraid", "msclkid", "yclid", "twclid",
+                "mc_cid", "mc_eid", "_hsenc", "_hsmi", "igshid", "ref_src", "ref_url",
+                "youtube.com:si", "youtu.be:si", "spotify.com:si",
+                "amazon.com:ref", "amazon.com:pd_rd_*", "amazon.com:pf_rd_*"
+            ]
+        };
+        
+        // Attachments larger than this are not downloaded for hashing, in MB
+        this.attachmentMaxSizeMb = 100;
+        this.MAX_ATTACHMENT_DOWNLOADS = 2; // Attachments downloaded and hashed at once
+        this.activeDownloads = 0;
+        this.downloadWaiters = []; // Attachments waiting for a download slot, highest priority first
+        
+        // Opt-in upload of attachments VirusTotal has never seen (VirusTotal accepts up to 650 MB)
+        this.fileUpload = { enabled: false, maxSizeMb: 32 };
+        
+        // Scan priorities - lower numbers are scanned first
+        this.SCAN_PRIORITY = {
+            USER: 0, // Clicked by the user
+            VISIBLE: 1, // Link is in the viewport
+            BACKGROUND: 2,
+            AUTO: 3 // Queued automatically
+        };
+        
+        // Watches queued links so the ones on screen are scanned first
+        this.visibilityObserver = null;
+        this.visibleLinks = new Set();
+        
+        // When links are scanned - "manual", "hover" or "auto", with per-server, per-channel and DM overrides
+        this.scanTrigger = { global: "manual", dms: "inherit", guilds: {}, channels: {} };
+        
+        // API quota settings - "free", "detected" (read from the API key) or "custom"
+        this.quotaTier = "free";
+        this.customQuota = { perMinute: 4, perDay: 500, perMonth: 15500 };
+        this.detectedQuota = null;
+        
+        // Analysis polling - back off from 5 seconds up to a minute, give up after 5 minutes
+        this.pendingAnalyses = new Map(); // Track analyses being polled, by URL
+        this.ANALYSIS_POLL_DELAY = 5000;
+        this.ANALYSIS_POLL_MAX_DELAY = 60000;
+        this.ANALYSIS_TIMEOUT = 300000;
+        
+        // Map to store link-element associations
+        this.linkElements = new Map();
+        
+        // Observer for watching for new links
+        this.linkObserver = null;
+    }
+
+    getName() {
+        return "VirusTotalScanner";
+    }
+
+    getDescription() {
+        return "Scans links in Discord messages using VirusTotal API with collection and graph management";
+    }
+
+    getVersion() {
+        return "0.5.0";
+    }
+
+    getAuthor() {
+        return "YourName";
+    }
+
+    start() {
+        this.log("Starting plugin...");
+        
+        // Initialize components
+        this.settingsExtension = new VirusTotalScannerSettingsExtension(this);
+        this.fileTracker = new VirusTotalFileTracker(this);
+        this.resultCache = new VirusTotalResultCache(this);
+        this.domainCache = new VirusTotalResultCache(this, "domainCache");
+        this.rateLimiter = new VirusTotalRateLimiter(this);
+        this.scanQueue = new VirusTotalScanQueue(this);
+        this.urlRules = new VirusTotalUrlRules(this);
+        this.lookalikeDetector = new VirusTotalLookalikeDetector(this);
+        this.scamHeuristics = new VirusTotalHeuristics(this);
+        this.verdictEvaluator = new VirusTotalVerdictPolicy(this);
+        this.scanProviders = new VirusTotalScanProviders(this);
+        this.scanHistory = new VirusTotalScanHistory(this);
+        this.authorTracker = new VirusTotalAuthorTracker(this);
+        this.notificationCenter = new VirusTotalNotificationCenter(this);
+        this.clickGuard = new VirusTotalClickGuard(this);
+        this.contextMenu = new VirusTotalContextMenu(this);
+        
+        // Load settings
+        this.loadSettings();
+        this.urlRules.load();
+        this.scanProviders.load();
+        this.scanHistory.load();
+        this.authorTracker.load();
+        this.notificationCenter.load();
+        
+        // Restore verdicts and pending scans from previous sessions
+        this.restoreCachedResults();
+        this.restoreScanQueue();
+        this.restorePendingAnalyses();
+        
+        if (!this.apiKey && this.providers.virustotal.enabled) {
+            BdApi.showToast("VirusTotal API Key Required", {
+                type: "error", 
+                timeout: 5000
+            });
+            BdApi.showConfirmationModal(
+                "VirusTotal API Key Required", 
+                "Please set your VirusTotal API key in the plugin settings.",
+                {
+                    confirmText: "Open Settings",
+                    cancelText: "Later",
+                    onConfirm: () => {
+                        BdApi.showConfirmationModal("VirusTotal Scanner Settings", this.getSettingsPanel(), {
+                            confirmText: "Save",
+                            cancelText: "Cancel"
+                        });
+                    }
+                }
+            );
+        }
+        
+        // Initialize observer for links
+        this.startLinkObserver();
+        
+        // Warn before risky links open
+        this.clickGuard.install();
+        
+        // Add entries to the message context menu
+        this.contextMenu.patch();
+        
+        // Add styles
+        this.addStyles();
+        
+        // Start processing queue
+        this.startQueueProcessor();
+        
+        this.initialized = true;
+        this.log("Plugin started");
+    }
+    
+    stop() {
+        // Stop the observer
+        if (this.linkObserver) {
+            this.linkObserver.disconnect();
+            this.linkObserver = null;
+            // Also clean up the history listeners if we modified them
+            if (this._originalPushState) {
+                history.pushState = this._originalPushState;
+            }
+            if (this._originalReplaceState) {
+                history.replaceState = this._originalReplaceState;
+            }
+        }
+        
+        // Stop the queue processor
+        this.stopQueueProcessor();
+        
+        // Stop intercepting link clicks
+        if (this.clickGuard) {
+            this.clickGuard.uninstall();
+        }
+        
+        // Remove context menu entries
+        if (this.contextMenu) {
+            this.contextMenu.remove();
+        }
+        
+        // Stop watching link visibility
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+        this.visibleLinks.clear();
+        
+        // Stop polling any pending analyses - they stay saved and are resumed on the next start
+        for (const { timer } of this.pendingAnalyses.values()) {
+            clearTimeout(timer);
+        }
+        this.pendingAnalyses.clear();
+        
+        // Attachments still waiting to be downloaded are dropped - they are scanned again when seen
+        this.downloadWaiters = [];
+        this.activeDownloads = 0;
+        
+        // Write out cached results, history, author records and quota usage still waiting to be saved
+        if (this.resultCache) {
+            this.resultCache.flush();
+            this.domainCache.flush();
+            this.scanHistory.flush();
+            this.authorTracker.flush();
+            this.rateLimiter.flush();
+        }
+        
+        // Remove styles
+        BdApi.clearCSS("vt-scanner-css");
+        
+        // Clean up any scan buttons
+        document.querySelectorAll('.vt-scan-button').forEach(button => {
+            button.remove();
+        });
+        
+        // Remove masked link warnings and embed verdicts
+        document.querySelectorAll('.vt-mismatch-badge').forEach(badge => {
+            badge.remove();
+        });
+        document.querySelectorAll('.vt-embed-malicious, .vt-embed-blocklisted, .vt-embed-suspicious, .vt-embed-lookalike, .vt-embed-clean, .vt-embed-unknown').forEach(embed => {
+            embed.classList.remove("vt-embed-malicious", "vt-embed-blocklisted", "vt-embed-suspicious", "vt-embed-lookalike", "vt-embed-clean", "vt-embed-unknown");
+        });
+        
+        // Remove link poster badges
+        document.querySelectorAll('.vt-author-badge').forEach(badge => {
+            badge.remove();
+        });
+        
+        // Put text URLs back the way Discord rendered them
+        for (const textNode of [...this.splitTextNodes]) {
+            this.restoreTextIndicators(textNode);
+        }
+        
+        this.initialized = false;
+        this.log("Plugin stopped");
+    }
+    
+    log(message) {
+        if (this.debug || message.startsWith("ERROR:")) {
+            console.log(`[VirusTotalScanner] ${message}`);
+        }
+    }
+    
+    // Load settings from BdApi
+    loadSettings() {
+        const settings = BdApi.getData("VirusTotalScanner", "settings") || {};
+        this.apiKey = settings.apiKey || "";
+        this.enabled = settings.enabled !== undefined ? settings.enabled : true;
+        this.debug = settings.debug || false;
+        this.verdictPolicy = { ...this.verdictPolicy, ...(settings.verdictPolicy || {}) };
+        
+        // Older versions only had a suspicious threshold
+        if (!settings.verdictPolicy && settings.threshold) {
+            this.verdictPolicy.suspiciousThreshold = settings.threshold;
+        }
+        this.cacheTtl = { ...this.cacheTtl, ...(settings.cacheTtl || {}) };
+        this.quotaTier = settings.quotaTier || "free";
+        this.customQuota = { ...this.customQuota, ...(settings.customQuota || {}) };
+        this.detectedQuota = settings.detectedQuota || null;
+        this.scanTrigger = { ...this.scanTrigger, ...(settings.scanTrigger || {}) };
+        this.attachmentMaxSizeMb = settings.attachmentMaxSizeMb || 100;
+        this.fileUpload = { ...this.fileUpload, ...(settings.fileUpload || {}) };
+        this.staleAfterDays = settings.staleAfterDays !== undefined ? settings.staleAfterDays : 30;
+        this.hostLookups = settings.hostLookups !== undefined ? settings.hostLookups : true;
+        this.scanPlainText = settings.scanPlainText !== undefined ? settings.scanPlainText : true;
+        this.redirects = { ...this.redirects, ...(settings.redirects || {}) };
+        this.canonicalization = { ...this.canonicalization, ...(settings.canonicalization || {}) };
+        this.lookalike = { ...this.lookalike, ...(settings.lookalike || {}) };
+        this.heuristics = { ...this.heuristics, ...(settings.heuristics || {}) };
+        this.authorTracking = { ...this.authorTracking, ...(settings.authorTracking || {}) };
+        this.clickProtection = { ...this.clickProtection, ...(settings.clickProtection || {}) };
+        
+        const notifications = settings.notifications || {};
+        this.notifications = {
+            ...this.notifications,
+            ...notifications,
+            quietHours: { ...this.notifications.quietHours, ...(notifications.quietHours || {}) }
+        };
+        
+        // Provider settings are one level deeper, so merge each provider's defaults separately
+        const providers = settings.providers || {};
+        this.providers = Object.fromEntries(Object.entries(this.providers).map(([key, value]) => [
+            key,
+            typeof value === "object" ? { ...value, ...(providers[key] || {}) } : (providers[key] !== undefined ? providers[key] : value)
+        ]));
+    }
+    
+    // Save settings using BdApi
+    saveSettings() {
+        BdApi.saveData("VirusTotalScanner", "settings", {
+            apiKey: this.apiKey,
+            enabled: this.enabled,
+            debug: this.debug,
+            verdictPolicy: this.verdictPolicy,
+            cacheTtl: this.cacheTtl,
+            quotaTier: this.quotaTier,
+            customQuota: this.customQuota,
+            detectedQuota: this.detectedQuota,
+            scanTrigger: this.scanTrigger,
+            attachmentMaxSizeMb: this.attachmentMaxSizeMb,
+            fileUpload: this.fileUpload,
+            staleAfterDays: this.staleAfterDays,
+            hostLookups: this.hostLookups,
+            scanPlainText: this.scanPlainText,
+            redirects: this.redirects,
+            canonicalization: this.canonicalization,
+            lookalike: this.lookalike,
+            heuristics: this.heuristics,
+            authorTracking: this.authorTracking,
+            clickProtection: this.clickProtection,
+            notifications: this.notifications,
+            providers: this.providers
+        });
+    }
+    
+    // Restore cached verdicts so already scanned links don't use API quota again
+    restoreCachedResults() {
+        const entries = this.resultCache.load();
+        this.domainCache.load();
+        
+        for (const [url, entry] of entries) {
+            this.processedUrls.set(url, entry.status);
+        }
+        this.loadRedirectParents();
+        
+        this.log(`Restored ${entries.size} cached scan results`);
+    }
+    
+    // Restore scans that were still queued when the plugin stopped
+    restoreScanQueue() {
+        const entries = this.scanQueue.load();
+        
+        for (const entry of entries) {
+            if (!this.processedUrls.has(entry.url)) {
+                this.processedUrls.set(entry.url, 'scanning');
+            }
+        }
+        
+        this.log(`Restored ${entries.length} queued scans`);
+    }
+    
+    // Clear the result and domain caches, forgetting finished verdicts but leaving in-flight scans alone
+    clearCachedResults() {
+        this.resultCache.clear();
+        this.domainCache.clear();
+        this.scanProviders.asyncChecks.clear();
+        
+        for (const [url, status] of this.processedUrls) {
+            if (!this.isPendingStatus(status)) this.processedUrls.delete(url);
+        }
+    }
+    
+    // Get the cached entry for a URL, forgetting the verdict if its TTL has run out
+    getCachedResult(url) {
+        const entry = this.resultCache.get(url);
+        
+        if (!entry) {
+            const status = this.processedUrls.get(url);
+            if (status && !this.isPendingStatus(status)) {
+                this.processedUrls.delete(url);
+            }
+            return null;
+        }
+        
+        return entry;
+    }
+    
+    // Check whether a status means the scan is still in progress
+    isPendingStatus(status) {
+        return status === "scanning" || status === "analysing";
+    }
+    
+    // Associate a link element with a URL so it is updated with the verdict
+    trackLinkElement(url, linkElement) {
+        if (!this.linkElements.has(url)) {
+            this.linkElements.set(url, new Set());
+        }
+        this.linkElements.get(url).add(linkElement);
+        
+        // Watch queued links so they can be prioritised while on screen
+        if (this.scanQueue.has(url)) {
+            this.observeLinkVisibility(url, linkElement);
+        }
+    }
+    
+    // Watch whether a queued link is in the viewport
+    observeLinkVisibility(url, linkElement) {
+        if (typeof IntersectionObserver === "undefined") return;
+        
+        if (!this.visibilityObserver) {
+            this.visibilityObserver = new IntersectionObserver((observed) => {
+                for (const { target, isIntersecting } of observed) {
+                    // Messages that were removed from the page
+                    if (!document.body.contains(target)) {
+                        this.visibilityObserver.unobserve(target);
+                        this.visibleLinks.delete(target);
+                        continue;
+                    }
+                    
+                    if (isIntersecting) {
+                        this.visibleLinks.add(target);
+                    } else {
+                        this.visibleLinks.delete(target);
+                    }
+                    
+                    // Queued as soon as any element for the URL is on screen
+                    const targetUrl = target._vtUrl;
+                    const elements = this.linkElements.get(targetUrl) || new Set();
+                    this.scanQueue.setVisible(targetUrl, [...elements].some(element => this.visibleLinks.has(element)));
+                }
+            });
+        }
+        
+        linkElement._vtUrl = url;
+        this.visibilityObserver.observe(linkElement);
+    }
+    
+    // Stop watching a URL's links once it has left the queue
+    unobserveLinkVisibility(url) {
+        if (!this.visibilityObserver) return;
+        
+        for (const element of this.linkElements.get(url) || []) {
+            this.visibilityObserver.unobserve(element);
+            this.visibleLinks.delete(element);
+        }
+    }
+    
+    // Save analyses still being polled, so they are picked up again after a restart
+    savePendingAnalyses() {
+        BdApi.saveData("VirusTotalScanner", "pendingAnalyses", Object.fromEntries(
+            [...this.pendingAnalyses].map(([url, { analysisId, startedAt, extra }]) => [url, { analysisId, startedAt, extra }])
+        ));
+    }
+    
+    // Resume polling analyses that were still running when the plugin stopped
+    restorePendingAnalyses() {
+        const stored = BdApi.getData("VirusTotalScanner", "pendingAnalyses") || {};
+        
+        for (const [url, { analysisId, extra }] of Object.entries(stored)) {
+            if (!analysisId || this.resultCache.get(url)) continue;
+            
+            // The timeout counts from this session, so an analysis that finished while Discord
+            // was closed is still fetched rather than failing before its first poll
+            this.processedUrls.set(url, 'analysing');
+            this.pollAnalysis(url, analysisId, extra || {}, Date.now());
+        }
+        
+        this.savePendingAnalyses();
+        this.log(`Restored ${this.pendingAnalyses.size} pending analyses`);
+    }
+    
+    // Stop tracking a finished analysis
+    finishAnalysis(url) {
+        if (this.pendingAnalyses.delete(url)) {
+            this.savePendingAnalyses();
+        }
+    }
+    
+    // Add CSS styles for the plugin
+    addStyles() {
+        BdApi.injectCSS("vt-scanner-css", `
+            .vt-settings-panel {
+                padding: 10px;
+            }
+            .vt-settings-group {
+                margin-bottom: 15px;
+            }
+            .vt-input {
+                width: 100%;
+                padding: 8px;
+                border-radius: 4px;
+                border: 1px solid var(--background-tertiary, #2f3136);
+                background: var(--background-secondary, #36393f);
+                color: var(--text-normal, #dcddde);
+                margin-top: 5px;
+            }
+            .vt-toggle {
+                width: 40px;
+                height: 24px;
+                background: var(--background-tertiary, #2f3136);
+                border-radius: 12px;
+                position: relative;
+                cursor: pointer;
+                margin-top: 5px;
+            }
+            .vt-toggle:before {
+                content: "";
+                position: absolute;
+                width: 18px;
+                height: 18px;
+                border-radius: 50%;
+                background: var(--interactive-normal, #b9bbbe);
+                top: 3px;
+                left: 3px;
+                transition: transform 0.2s ease;
+            }
+            .vt-toggle-checked {
+                background: var(--brand-experiment, #5865f2);
+            }
+            .vt-toggle-checked:before {
+                transform: translateX(16px);
+                background: white;
+            }
+            .vt-warning-icon {
+                color: #f04747;
+                margin-right: 4px;
+                display: inline-block;
+                font-weight: bold;
+            }
+            .vt-scan-button {
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                margin-left: 4px;
+                padding: 0 4px;
                 height: 18px;
                 font-size: 10px;
                 font-weight: bold;
                 border-radius: 3px;
                 color: white;
-                background-color: var(--brand-experiment, #5865f2);
+                background-color: var(--brand-experiment, #5865f2);
+                cursor: pointer;
+                vertical-align: middle;
+                transition: background-color 0.2s ease;
+                opacity: 0.8;
+            }
+            .vt-scan-button[data-vt-risk]::after {
+                content: " · " attr(data-vt-risk);
+                font-weight: bold;
+            }
+            .vt-interstitial-backdrop {
+                position: fixed;
+                inset: 0;
+                z-index: 10000;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background-color: rgba(0, 0, 0, 0.7);
+            }
+            .vt-interstitial {
+                width: 440px;
+                max-width: calc(100vw - 40px);
+                padding: 20px;
+                border-radius: 8px;
+                background-color: var(--background-primary);
+                color: var(--text-normal);
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.5);
+            }
+            .vt-interstitial h2 {
+                margin: 0 0 10px 0;
+                font-size: 20px;
+                font-weight: bold;
+            }
+            .vt-interstitial-url {
+                padding: 8px;
+                margin-bottom: 10px;
+                border-radius: 4px;
+                background-color: var(--background-secondary);
+                font-family: monospace;
+                font-size: 12px;
+                word-break: break-all;
+            }
+            .vt-interstitial-body {
+                font-size: 14px;
+                line-height: 1.4;
+                word-break: break-word;
+            }
+            .vt-interstitial-buttons {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+                margin-top: 16px;
+            }
+            .vt-interstitial-button {
+                padding: 8px 14px;
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-size: 14px;
+                cursor: pointer;
+            }
+            .vt-interstitial-button:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            .vt-interstitial-primary {
+                background-color: var(--brand-experiment, #5865f2);
+            }
+            .vt-interstitial-secondary {
+                background-color: #4f545c;
+            }
+            .vt-interstitial-danger {
+                background-color: #f04747;
+            }
+            .vt-author-badge {
+                margin-left: 4px;
+                padding: 0 4px;
+                border-radius: 3px;
+                font-size: 10px;
+                font-weight: bold;
+                color: white;
+                background-color: #f04747;
+                vertical-align: middle;
+                cursor: help;
+            }
+            .vt-author-badge-suspicious {
+                background-color: #faa61a;
+            }
+            .vt-scan-button[data-vt-stale]::before {
+                content: "⏱ ";
+            }
+            .vt-scan-button[data-vt-stale] {
+                opacity: 0.6;
+            }
+            .vt-scan-button[data-vt-risk-level="medium"] {
+                box-shadow: 0 0 0 1px #faa61a;
+            }
+            .vt-scan-button[data-vt-risk-level="high"] {
+                box-shadow: 0 0 0 2px #f04747;
+            }
+            .vt-scan-button:hover {
+                opacity: 1;
+                background-color: var(--brand-experiment-560, #4752c4);
+            }
+            .vt-text-url {
+                cursor: text;
+                border-radius: 3px;
+                background-color: rgba(114, 137, 218, 0.1);
+            }
+            .vt-mismatch-badge {
+                display: inline-block;
+                margin-left: 4px;
+                padding: 2px 6px;
+                border-radius: 3px;
+                font-size: 11px;
+                font-weight: bold;
+                color: white;
+                background-color: #faa61a;
+                cursor: help;
+            }
+            .vt-embed-malicious {
+                outline: 2px solid #f04747;
+                background-color: rgba(240, 71, 71, 0.1) !important;
+            }
+            .vt-embed-blocklisted {
+                outline: 2px solid #992d22;
+                background-color: rgba(153, 45, 34, 0.15) !important;
+            }
+            .vt-embed-suspicious {
+                outline: 2px solid #faa61a;
+            }
+            .vt-embed-lookalike {
+                outline: 2px dashed #e67e22;
+            }
+            .vt-embed-clean {
+                outline: 1px solid #43b581;
+            }
+            .vt-embed-unknown {
+                outline: 1px dotted #747f8d;
+            }
+            .vt-link-scanning {
+                text-decoration: underline dotted #faa61a;
+            }
+            .vt-link-analysing {
+                text-decoration: underline dashed #9b84ee;
+            }
+            .vt-link-malicious {
+                color: #f04747 !important;
+                text-decoration: line-through !important;
+                background-color: rgba(240, 71, 71, 0.1);
+                padding: 0 2px;
+                border-radius: 3px;
+            }
+            .vt-link-blocklisted {
+                color: #992d22 !important;
+                text-decoration: line-through !important;
+                background-color: rgba(153, 45, 34, 0.15);
+                padding: 0 2px;
+                border-radius: 3px;
+            }
+            .vt-link-suspicious {
+                color: #faa61a !important;
+                text-decoration: underline wavy #faa61a !important;
+            }
+            .vt-link-lookalike {
+                color: #e67e22 !important;
+                text-decoration: underline wavy #e67e22 !important;
+            }
+            .vt-link-clean {
+                color: #43b581 !important;
+                text-decoration: underline #43b581 !important;
+            }
+            .vt-link-unknown {
+                text-decoration: underline dotted #747f8d !important;
+            }
+            .vt-tooltip {
+                position: absolute;
+                background-color: var(--background-floating, #18191c);
+                border-radius: 4px;
+                padding: 8px;
+                color: var(--text-normal, #dcddde);
+                font-size: 14px;
+                z-index: 9999;
+                box-shadow: 0 2px 10px 0 rgba(0,0,0,.2);
+                min-width: 200px;
+                max-width: 300px;
+            }
+            .vt-report-button:hover {
+                background-color: var(--brand-experiment-560, #4752c4) !important;
+            }
+            .vt-upload-button:hover {
+                background-color: #5d6269 !important;
+            }
+            .vt-dropdown-container {
+                margin-top: 8px;
+                border-top: 1px solid rgba(255, 255, 255, 0.1);
+                padding-top: 8px;
+            }
+            .vt-dropdown {
+                width: 100%;
+                padding: 4px;
+                margin-bottom: 5px;
+                background-color: var(--background-secondary);
+                color: var(--text-normal);
+                border: 1px solid var(--background-tertiary);
+                border-radius: 4px;
+            }
+            .vt-collection-item, .vt-graph-item {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 5px;
+                margin-bottom: 5px;
+                border-bottom: 1px solid var(--background-modifier-accent);
+            }
+            .vt-delete-btn {
+                background-color: #f04747;
+                color: white;
+                border: none;
+                border-radius: 4px;
+                padding: 4px 8px;
+                font-size: 12px;
                 cursor: pointer;
-                vertical-align: middle;
-                transition: background-color 0.2s ease;
-                opacity: 0.8;
             }
-            .vt-scan-button:hover {
-                opacity: 1;
-                background-color: var(--brand-experiment-560, #4752c4);
+            .vt-add-btn {
+                background-color: var(--brand-experiment);
+                color: white;
+                border: none;
+                border-radius: 4px;
+                padding: 8px 16px;
+                cursor: pointer;
+                margin-bottom: 10px;
+            }
+            .vt-add-btn:hover {
+                background-color: var(--brand-experiment-560);
+            }
+            .vt-empty-list {
+                padding: 5px;
+                color: var(--text-muted);
+            }
+        `);
+    }
+    
+    // Settings panel
+    getSettingsPanel() {
+        const panel = document.createElement("div");
+        panel.className = "vt-settings-panel";
+        
+        // API Key field
+        const apiKeyGroup = document.createElement("div");
+        apiKeyGroup.className = "vt-settings-group";
+        
+        const apiKeyLabel = document.createElement("h3");
+        apiKeyLabel.textContent = "VirusTotal API Key";
+        
+        const apiKeyInput = document.createElement("input");
+        apiKeyInput.type = "password";
+        apiKeyInput.value = this.apiKey;
+        apiKeyInput.placeholder = "Enter your VirusTotal API Key";
+        apiKeyInput.className = "vt-input";
+        apiKeyInput.addEventListener("input", () => {
+            this.apiKey = apiKeyInput.value;
+            this.saveSettings();
+        });
+        
+        apiKeyGroup.appendChild(apiKeyLabel);
+        apiKeyGroup.appendChild(apiKeyInput);
+        
+        // Enabled toggle
+        const enabledGroup = document.createElement("div");
+        enabledGroup.className = "vt-settings-group";
+        
+        const enabledLabel = document.createElement("h3");
+        enabledLabel.textContent = "Enable Scanner";
+        
+        const enabledToggle = document.createElement("div");
+        enabledToggle.className = "vt-toggle";
+        enabledToggle.classList.toggle("vt-toggle-checked", this.enabled);
+        enabledToggle.addEventListener("click", () => {
+            this.enabled = !this.enabled;
+            enabledToggle.classList.toggle("vt-toggle-checked", this.enabled);
+            this.saveSettings();
+            
+            if (this.enabled) {
+                this.startLinkObserver();
+                this.startQueueProcessor();
+            } else {
+                if (this.linkObserver) {
+                    this.linkObserver.disconnect();
+                    this.linkObserver = null;
+                }
+                this.stopQueueProcessor();
+            }
+        });
+        
+        enabledGroup.appendChild(enabledLabel);
+        enabledGroup.appendChild(enabledToggle);
+        
+        // Debug toggle
+        const debugGroup = document.createElement("div");
+        debugGroup.className = "vt-settings-group";
+        
+        const debugLabel = document.createElement("h3");
+        debugLabel.textContent = "Debug Mode";
+        
+        const debugToggle = document.createElement("div");
+        debugToggle.className = "vt-toggle";
+        debugToggle.classList.toggle("vt-toggle-checked", this.debug);
+        debugToggle.addEventListener("click", () => {
+            this.debug = !this.debug;
+            debugToggle.classList.toggle("vt-toggle-checked", this.debug);
+            this.saveSettings();
+        });
+        
+        debugGroup.appendChild(debugLabel);
+        debugGroup.appendChild(debugToggle);
+        
+        // Domain and IP reputation toggle
+        const hostGroup = document.createElement("div");
+        hostGroup.className = "vt-settings-group";
+        
+        const hostLabel = document.createElement("h3");
+        hostLabel.textContent = "Check domain and IP reputation (one extra request per new host)";
+        
+        const hostToggle = document.createElement("div");
+        hostToggle.className = "vt-toggle";
+        hostToggle.classList.toggle("vt-toggle-checked", this.hostLookups);
+        hostToggle.addEventListener("click", () => {
+            this.hostLookups = !this.hostLookups;
+            hostToggle.classList.toggle("vt-toggle-checked", this.hostLookups);
+            this.saveSettings();
+        });
+        
+        hostGroup.appendChild(hostLabel);
+        hostGroup.appendChild(hostToggle);
+        
+        // Plain-text and defanged URL toggle
+        const plainTextGroup = document.createElement("div");
+        plainTextGroup.className = "vt-settings-group";
+        
+        const plainTextLabel = document.createElement("h3");
+        plainTextLabel.textContent = "Scan URLs written as text (code blocks, bare domains, defanged links like hxxps://evil[.]com)";
+        
+        const plainTextToggle = document.createElement("div");
+        plainTextToggle.className = "vt-toggle";
+        plainTextToggle.classList.toggle("vt-toggle-checked", this.scanPlainText);
+        plainTextToggle.addEventListener("click", () => {
+            this.scanPlainText = !this.scanPlainText;
+            plainTextToggle.classList.toggle("vt-toggle-checked", this.scanPlainText);
+            this.saveSettings();
+        });
+        
+        plainTextGroup.appendChild(plainTextLabel);
+        plainTextGroup.appendChild(plainTextToggle);
+        
+        // Stale result age
+        const staleGroup = document.createElement("div");
+        staleGroup.className = "vt-settings-group";
+        
+        const staleLabel = document.createElement("h3");
+        staleLabel.textContent = "Mark results stale after (days, 0 to never)";
+        
+        const staleInput = document.createElement("input");
+        staleInput.type = "number";
+        staleInput.min = "0";
+        staleInput.value = this.staleAfterDays;
+        staleInput.className = "vt-input";
+        staleInput.addEventListener("change", () => {
+            this.staleAfterDays = Math.max(parseInt(staleInput.value) || 0, 0);
+            staleInput.value = this.staleAfterDays;
+            this.saveSettings();
+        });
+        
+        staleGroup.appendChild(staleLabel);
+        staleGroup.appendChild(staleInput);
+        
+        // Attachment size limit
+        const attachmentGroup = document.createElement("div");
+        attachmentGroup.className = "vt-settings-group";
+        
+        const attachmentLabel = document.createElement("h3");
+        attachmentLabel.textContent = "Largest attachment to hash (MB)";
+        
+        const attachmentInput = document.createElement("input");
+        attachmentInput.type = "number";
+        attachmentInput.min = "1";
+        attachmentInput.value = this.attachmentMaxSizeMb;
+        attachmentInput.className = "vt-input";
+        attachmentInput.addEventListener("change", () => {
+            this.attachmentMaxSizeMb = parseInt(attachmentInput.value) || 100;
+            this.saveSettings();
+        });
+        
+        attachmentGroup.appendChild(attachmentLabel);
+        attachmentGroup.appendChild(attachmentInput);
+        
+        // Upload unknown attachments toggle
+        const uploadGroup = document.createElement("div");
+        uploadGroup.className = "vt-settings-group";
+        
+        const uploadLabel = document.createElement("h3");
+        uploadLabel.textContent = "Offer to upload attachments unknown to VirusTotal";
+        
+        const uploadDescription = document.createElement("p");
+        uploadDescription.textContent = "Uploaded files are shared with VirusTotal and its partners. You will be asked to confirm every upload.";
+        uploadDescription.style.color = "var(--text-muted)";
+        uploadDescription.style.fontSize = "12px";
+        
+        const uploadToggle = document.createElement("div");
+        uploadToggle.className = "vt-toggle";
+        uploadToggle.classList.toggle("vt-toggle-checked", this.fileUpload.enabled);
+        uploadToggle.addEventListener("click", () => {
+            this.fileUpload.enabled = !this.fileUpload.enabled;
+            uploadToggle.classList.toggle("vt-toggle-checked", this.fileUpload.enabled);
+            this.saveSettings();
+        });
+        
+        const uploadSizeLabel = document.createElement("label");
+        uploadSizeLabel.textContent = "Largest file to upload (MB, up to 650)";
+        
+        const uploadSizeInput = document.createElement("input");
+        uploadSizeInput.type = "number";
+        uploadSizeInput.min = "1";
+        uploadSizeInput.max = "650";
+        uploadSizeInput.value = this.fileUpload.maxSizeMb;
+        uploadSizeInput.className = "vt-input";
+        uploadSizeInput.addEventListener("change", () => {
+            this.fileUpload.maxSizeMb = Math.min(parseInt(uploadSizeInput.value) || 32, 650);
+            uploadSizeInput.value = this.fileUpload.maxSizeMb;
+            this.saveSettings();
+        });
+        
+        uploadGroup.appendChild(uploadLabel);
+        uploadGroup.appendChild(uploadDescription);
+        uploadGroup.appendChild(uploadToggle);
+        uploadGroup.appendChild(uploadSizeLabel);
+        uploadGroup.appendChild(uploadSizeInput);
+        
+        // Add all groups to panel
+        panel.appendChild(apiKeyGroup);
+        panel.appendChild(enabledGroup);
+        panel.appendChild(debugGroup);
+        panel.appendChild(hostGroup);
+        panel.appendChild(plainTextGroup);
+        panel.appendChild(staleGroup);
+        panel.appendChild(attachmentGroup);
+        panel.appendChild(uploadGroup);
+        
+        // Add test button
+        const testGroup = document.createElement("div");
+        testGroup.className = "vt-settings-group";
+        
+        const testButton = document.createElement("button");
+        testButton.textContent = "Test API Connection";
+        testButton.style.padding = "8px 16px";
+        testButton.style.backgroundColor = "var(--brand-experiment, #5865f2)";
+        testButton.style.color = "white";
+        testButton.style.border = "none";
+        testButton.style.borderRadius = "4px";
+        testButton.style.cursor = "pointer";
+        testButton.addEventListener("click", async () => {
+            if (!this.apiKey) {
+                BdApi.showToast("API key not set", { type: "error" });
+                return;
+            }
+            
+            testButton.textContent = "Testing...";
+            testButton.disabled = true;
+            
+            try {
+                const result = await this.testApiConnection();
+                if (result.success) {
+                    BdApi.showToast("API connection successful", { type: "success" });
+                } else {
+                    BdApi.showToast(`API error: ${result.message}`, { type: "error" });
+                }
+            } catch (err) {
+                BdApi.showToast(`Test failed: ${err.message}`, { type: "error" });
+            }
+            
+            testButton.textContent = "Test API Connection";
+            testButton.disabled = false;
+        });
+        
+        testGroup.appendChild(testButton);
+        panel.appendChild(testGroup);
+        
+        // Add collection and graph management
+        this.settingsExtension.extendSettingsPanel(panel);
+        
+        // Add auto-tracking settings
+        this.fileTracker.addAutoTrackingSettings(panel);
+        
+        // Add scan trigger settings
+        this.addScanTriggerSettings(panel);
+        
+        // Add click protection settings
+        this.clickGuard.addClickGuardSettings(panel);
+        
+        // Add verdict policy settings
+        this.verdictEvaluator.addVerdictPolicySettings(panel);
+        
+        // Add scan provider settings
+        this.scanProviders.addProviderSettings(panel);
+        
+        // Add ignore and trust rules
+        this.urlRules.addRuleSettings(panel);
+        
+        // Add lookalike domain settings
+        this.lookalikeDetector.addLookalikeSettings(panel);
+        
+        // Add scam heuristics settings
+        this.scamHeuristics.addHeuristicsSettings(panel);
+        
+        // Add redirect settings
+        this.addRedirectSettings(panel);
+        
+        // Add canonicalisation settings
+        this.addCanonicalizationSettings(panel);
+        
+        // Add API quota settings
+        this.rateLimiter.addQuotaSettings(panel);
+        
+        // Add result cache settings
+        this.resultCache.addCacheSettings(panel);
+        
+        // Add scan history
+        this.scanHistory.addHistorySettings(panel);
+        
+        // Add link poster tracking
+        this.authorTracker.addAuthorSettings(panel);
+        
+        // Add alert settings and inbox
+        this.notificationCenter.addNotificationSettings(panel);
+        
+        return panel;
+    }
+    
+    // Check if a URL is on one of the configured link shorteners
+    isShortenerUrl(url) {
+        try {
+            const host = new URL(url).hostname.toLowerCase();
+            return this.redirects.shorteners.some(shortener => host === shortener || host.endsWith(`.${shortener}`));
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    // Follow shortener redirects ourselves, one hop at a time, returning every URL in the chain
+    async resolveRedirectsLocally(url) {
+        const chain = [url];
+        let current = url;
+        
+        for (let hop = 0; hop < this.redirects.maxHops; hop++) {
+            // Only shorteners are contacted - the first hop off the list is read from the Location header, never fetched
+            if (!this.isShortenerUrl(current)) break;
+            
+            const response = await BdApi.Net.fetch(current, {
+                method: 'HEAD',
+                redirect: 'manual',
+                timeout: 10000
+            });
+            
+            const location = response.headers && response.headers.get ? response.headers.get('location') : null;
+            if (response.status < 300 || response.status >= 400 || !location) break;
+            
+            current = new URL(location, current).toString();
+            if (chain.includes(current)) break; // Redirect loop
+            chain.push(current);
+        }
+        
+        this.log(`Resolved ${url} locally through ${chain.length - 1} redirect(s)`);
+        return chain;
+    }
+    
+    // Get the redirect chain VirusTotal saw for a URL, starting with the URL itself
+    getVirusTotalRedirectChain(url, attributes) {
+        const finalUrl = attributes.last_final_url;
+        const chain = [url, ...(attributes.redirection_chain || []).filter(hop => hop !== url)];
+        
+        if (finalUrl && chain[chain.length - 1] !== finalUrl) {
+            chain.push(finalUrl);
+        }
+        
+        return chain;
+    }
+    
+    // Get the hops of a redirect chain after the link itself, as the URLs we scan them under
+    getRedirectHops(url, chain) {
+        const hops = [];
+        
+        for (const hop of (chain || []).slice(1, this.redirects.maxHops + 1)) {
+            const target = this.sanitizeUrl(hop);
+            if (target === url || hops.includes(target) || this.shouldIgnoreUrl(target) || this.urlRules.isAllowed(target)) continue;
+            hops.push(target);
+        }
+        
+        return hops;
+    }
+    
+    // Scan every hop of a redirect chain and colour the original link by the worst verdict known so far
+    followRedirectChain(url, chain) {
+        let worst = null;
+        
+        for (const target of this.getRedirectHops(url, chain)) {
+            if (!this.redirectParents.has(target)) {
+                this.redirectParents.set(target, new Set());
+            }
+            this.redirectParents.get(target).add(url);
+            
+            // Already have a verdict for this hop
+            const cached = this.getCachedResult(target);
+            if (cached) {
+                worst = this.getWorstStatus(worst, cached.status);
+                continue;
             }
-            .vt-link-scanning {
-                text-decoration: underline dotted #faa61a;
+            
+            // Finish the chain before starting new background work
+            if (!this.processedUrls.has(target)) {
+                this.log(`Scanning redirect hop of ${url}: ${target}`);
+                this.processedUrls.set(target, 'scanning');
+                this.queueForScanning(target, this.SCAN_PRIORITY.VISIBLE);
             }
-            .vt-link-malicious {
-                color: #f04747 !important;
-                text-decoration: line-through !important;
-                background-color: rgba(240, 71, 71, 0.1);
-                padding: 0 2px;
-                border-radius: 3px;
+        }
+        
+        this.saveRedirectParents();
+        return worst;
+    }
+    
+    // Save which links redirect where, so parents are re-coloured after a restart too
+    saveRedirectParents() {
+        BdApi.saveData("VirusTotalScanner", "redirectParents", Object.fromEntries(
+            [...this.redirectParents].map(([target, parents]) => [target, [...parents]])
+        ));
+    }
+    
+    // Load saved redirect parents, dropping links whose results are no longer cached
+    loadRedirectParents() {
+        const stored = BdApi.getData("VirusTotalScanner", "redirectParents") || {};
+        this.redirectParents.clear();
+        
+        for (const [target, parents] of Object.entries(stored)) {
+            const cachedParents = (parents || []).filter(parentUrl => this.resultCache.get(parentUrl));
+            if (cachedParents.length > 0) {
+                this.redirectParents.set(target, new Set(cachedParents));
             }
-            .vt-link-suspicious {
-                color: #faa61a !important;
-                text-decoration: underline wavy #faa61a !important;
+        }
+        
+        this.saveRedirectParents();
+    }
+    
+    // Re-colour links that redirect through a URL once its own verdict is known
+    updateRedirectParents(url, status) {
+        const parents = this.redirectParents.get(url);
+        if (!parents) return;
+        
+        for (const parentUrl of parents) {
+            const cached = this.getCachedResult(parentUrl);
+            if (!cached || !cached.result) continue;
+            
+            // Worst of the link's own verdict and every hop we have a verdict for
+            const hopStatuses = this.getRedirectHops(parentUrl, cached.result.redirectChain)
+                .map(hop => hop === url ? status : this.processedUrls.get(hop))
+                .filter(hopStatus => hopStatus && !this.isPendingStatus(hopStatus) && hopStatus !== 'error');
+            const combined = this.getWorstStatus(cached.result.ownStatus || cached.status, ...hopStatuses);
+            if (combined === cached.status) continue;
+            
+            this.log(`Redirect hop ${url} is ${status}, updating ${parentUrl} to ${combined}`);
+            this.processedUrls.set(parentUrl, combined);
+            this.resultCache.set(parentUrl, combined, cached.result);
+            this.updateLinkElements(parentUrl, combined, cached.result);
+            this.notificationCenter.notify(parentUrl, combined, cached.result, this.getAnyLinkElement(parentUrl));
+        }
+    }
+    
+    // Add URL canonicalisation settings
+    addCanonicalizationSettings(panel) {
+        const canonicalSection = document.createElement("div");
+        canonicalSection.className = "vt-canonical-section";
+        canonicalSection.style.marginTop = "20px";
+        canonicalSection.style.padding = "10px";
+        canonicalSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+        
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Link Canonicalisation";
+        canonicalSection.appendChild(sectionTitle);
+        
+        const description = document.createElement("div");
+        description.textContent = "Variants of the same link are scanned and cached once. Links in chat keep their original address.";
+        description.style.marginBottom = "10px";
+        description.style.color = "var(--text-muted)";
+        canonicalSection.appendChild(description);
+        
+        const addToggle = (label, key) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+            
+            const toggleLabel = document.createElement("h3");
+            toggleLabel.textContent = label;
+            
+            const toggle = document.createElement("div");
+            toggle.className = "vt-toggle";
+            toggle.classList.toggle("vt-toggle-checked", this.canonicalization[key]);
+            toggle.addEventListener("click", () => {
+                this.canonicalization[key] = !this.canonicalization[key];
+                toggle.classList.toggle("vt-toggle-checked", this.canonicalization[key]);
+                this.saveSettings();
+            });
+            
+            group.appendChild(toggleLabel);
+            group.appendChild(toggle);
+            canonicalSection.appendChild(group);
+        };
+        
+        addToggle("Canonicalise links before scanning", "enabled");
+        addToggle("Ignore #fragments", "stripFragments");
+        addToggle("Ignore trailing slashes", "trimTrailingSlash");
+        
+        // Tracking parameter rules
+        const paramsGroup = document.createElement("div");
+        paramsGroup.className = "vt-settings-group";
+        
+        const paramsLabel = document.createElement("label");
+        paramsLabel.textContent = "Tracking parameters to remove (one per line, * as a suffix wildcard, domain:param for one site)";
+        
+        const paramsInput = document.createElement("textarea");
+        paramsInput.className = "vt-input";
+        paramsInput.rows = 5;
+        paramsInput.value = this.canonicalization.trackingParams.join("\n");
+        paramsInput.addEventListener("change", () => {
+            this.canonicalization.trackingParams = paramsInput.value
+                .split("\n")
+                .map(line => line.trim().toLowerCase())
+                .filter(Boolean);
+            this.saveSettings();
+        });
+        
+        paramsGroup.appendChild(paramsLabel);
+        paramsGroup.appendChild(paramsInput);
+        canonicalSection.appendChild(paramsGroup);
+        
+        panel.appendChild(canonicalSection);
+    }
+    
+    // Add redirect resolution settings
+    addRedirectSettings(panel) {
+        const redirectSection = document.createElement("div");
+        redirectSection.className = "vt-redirect-section";
+        redirectSection.style.marginTop = "20px";
+        redirectSection.style.padding = "10px";
+        redirectSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+        
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Redirects and Link Shorteners";
+        redirectSection.appendChild(sectionTitle);
+        
+        // Resolver
+        const resolverGroup = document.createElement("div");
+        resolverGroup.className = "vt-settings-group";
+        
+        const resolverLabel = document.createElement("label");
+        resolverLabel.textContent = "Redirect resolver";
+        
+        const resolverSelect = document.createElement("select");
+        resolverSelect.className = "vt-dropdown";
+        resolverSelect.innerHTML = `
+            <option value="virustotal">VirusTotal only (redirects VirusTotal recorded)</option>
+            <option value="local">Resolve shorteners locally (contacts the shortener directly)</option>
+        `;
+        resolverSelect.value = this.redirects.resolver;
+        resolverSelect.addEventListener("change", () => {
+            this.redirects.resolver = resolverSelect.value;
+            this.saveSettings();
+        });
+        
+        resolverGroup.appendChild(resolverLabel);
+        resolverGroup.appendChild(resolverSelect);
+        redirectSection.appendChild(resolverGroup);
+        
+        // Shortener domains
+        const shortenersGroup = document.createElement("div");
+        shortenersGroup.className = "vt-settings-group";
+        
+        const shortenersLabel = document.createElement("label");
+        shortenersLabel.textContent = "Shortener domains to resolve locally (one per line)";
+        
+        const shortenersInput = document.createElement("textarea");
+        shortenersInput.className = "vt-input";
+        shortenersInput.rows = 4;
+        shortenersInput.value = this.redirects.shorteners.join("\n");
+        shortenersInput.addEventListener("change", () => {
+            this.redirects.shorteners = shortenersInput.value
+                .split("\n")
+                .map(line => line.trim().toLowerCase())
+                .filter(Boolean);
+            this.saveSettings();
+        });
+        
+        shortenersGroup.appendChild(shortenersLabel);
+        shortenersGroup.appendChild(shortenersInput);
+        redirectSection.appendChild(shortenersGroup);
+        
+        // Maximum hops
+        const hopsGroup = document.createElement("div");
+        hopsGroup.className = "vt-settings-group";
+        
+        const hopsLabel = document.createElement("label");
+        hopsLabel.textContent = "Maximum redirects to follow";
+        
+        const hopsInput = document.createElement("input");
+        hopsInput.type = "number";
+        hopsInput.min = "1";
+        hopsInput.max = "20";
+        hopsInput.value = this.redirects.maxHops;
+        hopsInput.className = "vt-input";
+        hopsInput.addEventListener("change", () => {
+            this.redirects.maxHops = Math.min(parseInt(hopsInput.value) || 5, 20);
+            this.saveSettings();
+        });
+        
+        hopsGroup.appendChild(hopsLabel);
+        hopsGroup.appendChild(hopsInput);
+        redirectSection.appendChild(hopsGroup);
+        
+        panel.appendChild(redirectSection);
+    }
+    
+    // Add scan trigger settings, including overrides for the current server, channel and DMs
+    addScanTriggerSettings(panel) {
+        const triggerSection = document.createElement("div");
+        triggerSection.className = "vt-trigger-section";
+        triggerSection.style.marginTop = "20px";
+        triggerSection.style.padding = "10px";
+        triggerSection.style.borderTop = "1px solid var(--background-modifier-accent)";
+        
+        const sectionTitle = document.createElement("h3");
+        sectionTitle.textContent = "Scan Trigger";
+        triggerSection.appendChild(sectionTitle);
+        
+        const modes = [
+            { value: "manual", label: "Manual (click Scan)" },
+            { value: "hover", label: "On hover" },
+            { value: "auto", label: "Automatic (every new link)" }
+        ];
+        
+        // Build a mode dropdown, optionally with an "inherit" entry
+        const createModeSelect = (value, inheritLabel, onChange) => {
+            const select = document.createElement("select");
+            select.className = "vt-dropdown";
+            select.innerHTML = (inheritLabel ? `<option value="inherit">${inheritLabel}</option>` : "") +
+                modes.map(m => `<option value="${m.value}">${m.label}</option>`).join("");
+            select.value = value;
+            select.addEventListener("change", () => {
+                onChange(select.value);
+                this.saveSettings();
+                renderOverrides();
+            });
+            return select;
+        };
+        
+        const addGroup = (labelText, control) => {
+            const group = document.createElement("div");
+            group.className = "vt-settings-group";
+            const label = document.createElement("label");
+            label.textContent = labelText;
+            group.appendChild(label);
+            group.appendChild(control);
+            triggerSection.appendChild(group);
+        };
+        
+        // Global and DM triggers
+        addGroup("Default", createModeSelect(this.scanTrigger.global, null, mode => {
+            this.scanTrigger.global = mode;
+        }));
+        
+        addGroup("Direct messages", createModeSelect(this.scanTrigger.dms, "Use default", mode => {
+            this.scanTrigger.dms = mode;
+        }));
+        
+        // Overrides for whatever is currently open
+        const scope = this.getCurrentScope();
+        let guildName = scope.guildId;
+        let channelName = scope.channelId;
+        try {
+            const GuildStore = BdApi.Webpack.getStore("GuildStore");
+            const ChannelStore = BdApi.Webpack.getStore("ChannelStore");
+            guildName = GuildStore?.getGuild(scope.guildId)?.name || guildName;
+            channelName = ChannelStore?.getChannel(scope.channelId)?.name || channelName;
+        } catch (error) {
+            this.log(`ERROR: Failed to look up server/channel names: ${error.message}`);
+        }
+        
+        const setOverride = (overrides, id, name, mode) => {
+            if (mode === "inherit") {
+                delete overrides[id];
+            } else {
+                overrides[id] = { mode, name };
             }
-            .vt-link-clean {
-                color: #43b581 !important;
-                text-decoration: underline #43b581 !important;
+        };
+        
+        if (scope.guildId) {
+            addGroup(`This server (${guildName})`, createModeSelect(this.scanTrigger.guilds[scope.guildId]?.mode || "inherit", "Use default", mode => {
+                setOverride(this.scanTrigger.guilds, scope.guildId, guildName, mode);
+            }));
+        }
+        
+        if (scope.channelId) {
+            addGroup(`This channel (${scope.isDM ? "DM" : "#" + channelName})`, createModeSelect(this.scanTrigger.channels[scope.channelId]?.mode || "inherit", scope.isDM ? "Use DM setting" : "Use server setting", mode => {
+                setOverride(this.scanTrigger.channels, scope.channelId, channelName, mode);
+            }));
+        }
+        
+        // List of every override with a remove button
+        const overridesList = document.createElement("div");
+        overridesList.className = "vt-trigger-overrides";
+        overridesList.style.marginTop = "10px";
+        triggerSection.appendChild(overridesList);
+        
+        const renderOverrides = () => {
+            overridesList.innerHTML = "";
+            
+            const entries = [
+                ...Object.entries(this.scanTrigger.guilds).map(([id, o]) => ({ id, o, kind: "guilds", label: `Server: ${o.name || id}` })),
+                ...Object.entries(this.scanTrigger.channels).map(([id, o]) => ({ id, o, kind: "channels", label: `Channel: ${o.name || id}` }))
+            ];
+            
+            if (entries.length === 0) {
+                const empty = document.createElement("p");
+                empty.className = "vt-empty-list";
+                empty.textContent = "No server or channel overrides";
+                overridesList.appendChild(empty);
+                return;
             }
-            .vt-tooltip {
-                position: absolute;
-                background-color: var(--background-floating, #18191c);
-                border-radius: 4px;
-                padding: 8px;
-                color: var(--text-normal, #dcddde);
-                font-size: 14px;
-                z-index: 9999;
-                box-shadow: 0 2px 10px 0 rgba(0,0,0,.2);
-                min-width: 200px;
-                max-width: 300px;
+            
+            entries.forEach(({ id, o, kind, label }) => {
+                const item = document.createElement("div");
+                item.className = "vt-collection-item";
+                
+                const text = document.createElement("span");
+                text.textContent = `${label} - ${modes.find(m => m.value === o.mode)?.label || o.mode}`;
+                
+                const removeBtn = document.createElement("button");
+                removeBtn.textContent = "Remove";
+                removeBtn.className = "vt-delete-btn";
+                removeBtn.addEventListener("click", () => {
+                    delete this.scanTrigger[kind][id];
+                    this.saveSettings();
+                    renderOverrides();
+                });
+                
+                item.appendChild(text);
+                item.appendChild(removeBtn);
+                overridesList.appendChild(item);
+            });
+        };
+        
+        renderOverrides();
+        panel.appendChild(triggerSection);
+    }
+    
+    // Test the API connection
+    async testApiConnection() {
+        try {
+            const response = await BdApi.Net.fetch("https://www.virustotal.com/api/v3/urls/aHR0cHM6Ly9nb29nbGUuY29t", {
+                method: "GET",
+                headers: {
+                    "x-apikey": this.apiKey
+                }
+            });
+            
+            this.rateLimiter.recordRequest();
+            
+            if (response.status === 401) {
+                return { success: false, message: "Invalid API key" };
             }
-            .vt-report-button:hover {
-                background-color: var(--brand-experiment-560, #4752c4) !important;
+            
+            if (!response.ok) {
+                return { success: false, message: `HTTP error ${response.status}` };
             }
-            .vt-dropdown-container {
-                margin-top: 8px;
-                border-top: 1px solid rgba(255, 255, 255, 0.1);
-                padding-top: 8px;
+            
+            return { success: true };
+        } catch (err) {
+            return { success: false, message: err.message };
+        }
+    }
+    
+    // Start link observer
+    startLinkObserver() {
+        if (!this.enabled || this.linkObserver) return;
+        
+        // Create a mutation observer to watch for new links
+        this.linkObserver = new MutationObserver((mutations) => {
+            if (!this.enabled) return;
+            
+            for (const mutation of mutations) {
+                // Edited messages can change their text in place, leaving wrapped text URLs out of date
+                if (mutation.type === "characterData") {
+                    const container = mutation.target.parentElement && mutation.target.parentElement.closest('[id^="message-content-"]');
+                    if (container) this.scanTextIndicators(container);
+                    continue;
+                }
+                
+                if (mutation.type === "childList" && mutation.addedNodes.length > 0) {
+                    for (const node of mutation.addedNodes) {
+                        // Buttons, badges and text URLs the plugin added itself need no processing
+                        if (node.nodeType === Node.ELEMENT_NODE && !node.matches(this.OWN_NODE_SELECTOR)) {
+                            // Check if this is a link or contains links
+                            const links = node.tagName === "A" ? [node] : node.querySelectorAll("a");
+                            
+                            for (const link of links) {
+                                this.addScanButton(link);
+                            }
+                            
+                            // And URLs that are only text
+                            this.scanTextIndicators(node);
+                            
+                            // Badge users with a bad link record
+                            this.authorTracker.scheduleMarkMessages(node);
+                            
+                            // If a chat container or message group is added, this might be a channel switch
+                            if (node.classList && (
+                                node.classList.contains("chat-3bRxxu") || 
+                                node.classList.contains("messages-3amgkR") ||
+                                node.classList.contains("messagesWrapper-1sRNjr") ||
+                                node.classList.contains("chatContent-3KubbW")
+                            )) {
+                                this.log("Detected potential channel/server switch, re-processing existing links");
+                                setTimeout(() => this.processExistingLinks(), 500);
+                            }
+                        }
+                    }
+                }
             }
-            .vt-dropdown {
-                width: 100%;
-                padding: 4px;
-                margin-bottom: 5px;
-                background-color: var(--background-secondary);
-                color: var(--text-normal);
-                border: 1px solid var(--background-tertiary);
-                border-radius: 4px;
+        });
+        
+        // Start observing
+        this.linkObserver.observe(document.body, { 
+            childList: true, 
+            characterData: true,
+            subtree: true 
+        });
+        
+        // Also process existing links
+        this.processExistingLinks();
+        
+        // Add a listener for Discord's navigation events
+        this.setupNavigationListener();
+    }
+    
+    // Setup navigation listener
+    setupNavigationListener() {
+        // Store original methods
+        this._originalPushState = history.pushState;
+        this._originalReplaceState = history.replaceState;
+        
+        // Override methods
+        history.pushState = (...args) => {
+            this._originalPushState.apply(history, args);
+            this.log("Discord navigation detected (pushState)");
+            setTimeout(() => this.processExistingLinks(), 500);
+        };
+        
+        history.replaceState = (...args) => {
+            this._originalReplaceState.apply(history, args);
+            this.log("Discord navigation detected (replaceState)");
+            setTimeout(() => this.processExistingLinks(), 500);
+        };
+        
+        // Also listen for popstate events
+        window.addEventListener('popstate', () => {
+            this.log("Discord navigation detected (popstate)");
+            setTimeout(() => this.processExistingLinks(), 500);
+        });
+    }
+
+    // Process existing links
+    processExistingLinks() {
+        this.scanTextIndicators(document.body);
+        
+        const links = document.querySelectorAll("a, .vt-text-url");
+        
+        for (const link of links) {
+            const linkUrl = this.getLinkUrl(link);
+            if (!linkUrl) continue;
+            
+            const url = this.sanitizeUrl(linkUrl);
+            
+            // Add scan button if needed
+            this.addScanButton(link);
+            
+            // Restore styling and tooltip from the cached result, if we have one
+            this.applyCachedResult(link, url);
+        }
+        
+        this.authorTracker.scheduleMarkMessages(document.body);
+    }
+    
+    // Restore link styling and tooltip from a cached result
+    applyCachedResult(link, url) {
+        const cached = this.getCachedResult(url);
+        if (!cached) return false;
+        
+        this.trackLinkElement(url, link);
+        this.authorTracker.recordLink(url, cached.status, link);
+        
+        link.classList.remove("vt-link-scanning", "vt-link-analysing", "vt-link-malicious", "vt-link-blocklisted", "vt-link-suspicious", "vt-link-lookalike", "vt-link-clean", "vt-link-unknown");
+        link.classList.add(`vt-link-${cached.status}`);
+        this.updateEmbedVerdict(link);
+        
+        try {
+            this.addTooltip(link, cached.result);
+        } catch (e) {
+            this.log(`ERROR: Failed to restore tooltip: ${e.message}`);
+        }
+        
+        return true;
+    }
+    
+    // Get the URL a link element stands for - an anchor's href, or the refanged URL of a text indicator
+    getLinkUrl(linkElement) {
+        if (!linkElement) return null;
+        return linkElement.href || (linkElement.dataset && linkElement.dataset.vtUrl) || null;
+    }
+    
+    // Build the pattern for URLs written as plain text, including defanged ones like hxxps://evil[.]com
+    getTextUrlPattern() {
+        if (!this._textUrlSource) {
+            const dot = String.raw`(?:\.|\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\))`;
+            const scheme = String.raw`h[tx]{2}ps?(?::\/\/|\[:\]\/\/|\[:\/\/\])`;
+            const label = String.raw`[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?`;
+            const host = String.raw`(?:\d{1,3}(?:${dot}\d{1,3}){3}|(?:${label}${dot})+[a-z]{2,24})`;
+            const rest = String.raw`(?::\d{2,5})?(?:[\/?#][^\s<>"'\x60]*)?`;
+            this._textUrlSource = String.raw`(?<![@\w.\/-])(${scheme})?(${host})(${rest})`;
+        }
+        
+        // A fresh expression each time, since global expressions carry their position between calls
+        return new RegExp(this._textUrlSource, "gi");
+    }
+    
+    // Turn a plain-text or defanged indicator into a real URL, or null if it doesn't look like one.
+    // Bare domains need a well-known TLD unless anyTld is set, for text that is known to stand for a link
+    refangUrl(text, anyTld = false) {
+        const pattern = this.getTextUrlPattern();
+        const match = pattern.exec(text);
+        if (!match || match[0] !== text) return null;
+        
+        const [, scheme, host] = match;
+        const defanged = /\[|\(|\{|^h(?!ttp)/i.test((scheme || "") + host);
+        
+        // Plain bare domains are only picked up for well-known TLDs, so file names like setup.py aren't
+        const tld = host.split(/\.|\]|\)|\}/).pop().toLowerCase();
+        const isIp = /^\d/.test(tld);
+        if (!anyTld && !scheme && !defanged && !isIp && !this.TEXT_URL_TLDS.includes(tld)) return null;
+        
+        const url = text
+            .replace(/\[dot\]|\(dot\)|\[\.\]|\(\.\)|\{\.\}/gi, ".")
+            .replace(/\[:\/\/\]|\[:\]\/\//g, "://")
+            .replace(/^h[tx]{2}p/i, "http");
+        
+        try {
+            return new URL(scheme ? url : `http://${url}`).toString();
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    // Find URLs written as text in messages and give them the same scan button as links
+    scanTextIndicators(root) {
+        if (!this.scanPlainText || !root || root.nodeType !== Node.ELEMENT_NODE) return;
+        
+        this.pruneTextIndicators();
+        
+        const containers = root.closest && root.closest('[id^="message-content-"]') ?
+            [root.closest('[id^="message-content-"]')] :
+            root.querySelectorAll('[id^="message-content-"]');
+        
+        for (const container of containers) {
+            this.updateTextIndicators(container);
+        }
+    }
+    
+    // Find the URLs in a piece of text, skipping version numbers that look like IP addresses
+    findTextIndicators(text) {
+        const pattern = this.getTextUrlPattern();
+        const found = [];
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            // Don't swallow sentence punctuation or an unopened closing bracket
+            let indicator = match[0].replace(/[.,;:!?'"]+$/, "");
+            if (/[)\]]$/.test(indicator) && !/[(\[][^)\]]*[)\]]$/.test(indicator.slice(match[1] ? match[1].length : 0))) {
+                indicator = indicator.slice(0, -1);
             }
-            .vt-collection-item, .vt-graph-item {
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                padding: 5px;
-                margin-bottom: 5px;
-                border-bottom: 1px solid var(--background-modifier-accent);
+            
+            // "v 1.2.3.4" or "version 1.2.3.4" is a version, not an address
+            const bareIp = !match[1] && /^\d{1,3}(\.\d{1,3}){3}$/.test(match[2]);
+            if (bareIp && /(?:\bv|\bver(?:sion)?|\brelease|\bbuild)\.?\s*$/i.test(text.slice(0, match.index))) continue;
+            
+            const url = this.refangUrl(indicator);
+            if (url && !this.shouldIgnoreUrl(url)) {
+                found.push({ indicator, url });
             }
-            .vt-delete-btn {
-                background-color: #f04747;
-                color: white;
-                border: none;
-                border-radius: 4px;
-                padding: 4px 8px;
-                font-size: 12px;
-                cursor: pointer;
+        }
+        
+        return found;
+    }
+    
+    // Mark the text URLs of a message where they are written, each with a scan button after it
+    updateTextIndicators(container) {
+        // Nothing to do unless the message text changed since it was last looked at
+        if (container._vtText === container.textContent) return;
+        
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node._vtSplit || node._vtOwned || (node.parentElement && node.parentElement.closest('a, .vt-text-url, .vt-scan-button, .vt-mismatch-badge, .vt-author-badge')) ?
+                NodeFilter.FILTER_REJECT :
+                NodeFilter.FILTER_ACCEPT
+        });
+        
+        // Collect first, since splitting matches changes the tree being walked
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+        
+        textNodes.forEach(node => this.splitTextIndicators(node));
+        container._vtText = container.textContent;
+    }
+    
+    // Wrap each URL in a text node in a non-clickable span with a scan button after it.
+    // Discord's renderer still owns the text node, so it keeps the text before the first URL
+    // and everything after moves into nodes the plugin adds and can take out again
+    splitTextIndicators(textNode) {
+        const text = textNode.nodeValue;
+        const found = [];
+        let from = 0;
+        
+        for (const { indicator, url } of this.findTextIndicators(text)) {
+            // Find where each indicator was written, after the previous one
+            const index = text.indexOf(indicator, from);
+            if (index === -1) continue;
+            from = index + indicator.length;
+            found.push({ index, end: from, indicator, url });
+        }
+        if (found.length === 0) return;
+        
+        const nodes = [];
+        const ownText = value => {
+            const node = document.createTextNode(value);
+            node._vtOwned = true;
+            return node;
+        };
+        
+        let position = found[0].index;
+        for (const { index, end, indicator, url } of found) {
+            if (index > position) nodes.push(ownText(text.slice(position, index)));
+            
+            const span = document.createElement("span");
+            span.className = "vt-text-url";
+            span.textContent = indicator;
+            span.dataset.vtUrl = url;
+            nodes.push(span);
+            
+            position = end;
+        }
+        if (position < text.length) nodes.push(ownText(text.slice(position)));
+        
+        textNode.nodeValue = text.slice(0, found[0].index);
+        textNode.after(...nodes);
+        textNode._vtSplit = { text, prefix: textNode.nodeValue, nodes };
+        this.splitTextNodes.add(textNode);
+        
+        for (const span of nodes.filter(node => node.nodeType === Node.ELEMENT_NODE)) {
+            this.log(`Found text URL: ${span.textContent} -> ${span.dataset.vtUrl}`);
+            this.addScanButton(span);
+            
+            // The scan button follows the span, so keep track of it to take it out again
+            if (span.nextSibling && span.nextSibling.classList && span.nextSibling.classList.contains("vt-scan-button")) {
+                nodes.push(span.nextSibling);
             }
-            .vt-add-btn {
-                background-color: var(--brand-experiment);
-                color: white;
-                border: none;
-                border-radius: 4px;
-                padding: 8px 16px;
-                cursor: pointer;
-                margin-bottom: 10px;
+        }
+    }
+    
+    // Take the plugin's nodes back out of a split text node, giving Discord its text back if it hasn't replaced it
+    restoreTextIndicators(textNode) {
+        const split = textNode._vtSplit;
+        if (!split) return;
+        
+        split.nodes.forEach(node => node.remove());
+        if (textNode.nodeValue === split.prefix) {
+            textNode.nodeValue = split.text;
+        }
+        
+        delete textNode._vtSplit;
+        this.splitTextNodes.delete(textNode);
+    }
+    
+    // Undo splits of text nodes Discord has since edited or removed, so edited messages are matched afresh
+    pruneTextIndicators() {
+        for (const textNode of this.splitTextNodes) {
+            const split = textNode._vtSplit;
+            if (!textNode.isConnected || textNode.nodeValue !== split.prefix || split.nodes.some(node => !node.isConnected)) {
+                this.restoreTextIndicators(textNode);
             }
-            .vt-add-btn:hover {
-                background-color: var(--brand-experiment-560);
+        }
+    }
+    
+    // Get the host a masked link claims to go to, or null if the visible text isn't a URL
+    getMaskedLinkMismatch(linkElement, url) {
+        if (linkElement.tagName !== "A") return null;
+        
+        const text = (linkElement.textContent || "").trim();
+        if (!text || text === url) return null;
+        
+        // Link text is meant to show where the link goes, so any TLD counts (discord.gift/nitro)
+        // unless the text is just a file name
+        const shownText = text.replace(/\s+/g, "");
+        if (/^[^\/]+\.([a-z]+)$/i.test(shownText) && this.FILE_NAME_TLDS.includes(shownText.split(".").pop().toLowerCase())) return null;
+        
+        const shownUrl = this.refangUrl(shownText, true);
+        if (!shownUrl) return null;
+        
+        let shownHost;
+        let realHost;
+        try {
+            shownHost = new URL(shownUrl).hostname.replace(/^www\./, "");
+            realHost = new URL(url).hostname.replace(/^www\./, "");
+        } catch (e) {
+            return null;
+        }
+        
+        // Text of github.com for a gist.github.com link (or the other way round) is fine
+        if (shownHost === realHost || shownHost.endsWith(`.${realHost}`) || realHost.endsWith(`.${shownHost}`)) {
+            return null;
+        }
+        
+        return { shownHost, realHost };
+    }
+    
+    // Warn about masked links whose text shows a different domain from where they go
+    markMaskedLinkMismatch(linkElement, url) {
+        if (linkElement._vtMismatch !== undefined) return;
+        
+        const mismatch = this.getMaskedLinkMismatch(linkElement, url);
+        linkElement._vtMismatch = mismatch;
+        if (!mismatch || !linkElement.parentNode) return;
+        
+        this.log(`Masked link mismatch: text shows ${mismatch.shownHost} but goes to ${mismatch.realHost}`);
+        
+        const badge = document.createElement("span");
+        badge.className = "vt-mismatch-badge";
+        badge.textContent = "⚠ Text/destination mismatch";
+        badge.title = `This link shows ${mismatch.shownHost} but opens ${mismatch.realHost}`;
+        
+        // The scan button goes straight after the link, so the badge ends up after the button
+        linkElement.parentNode.insertBefore(badge, linkElement.nextSibling);
+    }
+    
+    // Mark a whole embed card with the worst verdict of the links inside it
+    updateEmbedVerdict(element) {
+        const embed = element.closest && element.closest('article[class*="embed"]');
+        if (!embed) return;
+        
+        const statuses = [...embed.querySelectorAll("a, .vt-text-url")].map(link => {
+            const linkUrl = this.getLinkUrl(link);
+            return linkUrl ? this.processedUrls.get(this.sanitizeUrl(linkUrl)) : null;
+        });
+        
+        const status = this.getWorstStatus(...statuses.filter(s => this.STATUS_SEVERITY.includes(s)));
+        
+        embed.classList.remove("vt-embed-malicious", "vt-embed-blocklisted", "vt-embed-suspicious", "vt-embed-lookalike", "vt-embed-clean", "vt-embed-unknown");
+        if (status) {
+            embed.classList.add(`vt-embed-${status}`);
+        }
+    }
+    
+    // Should the URL be ignored?
+    shouldIgnoreUrl(url) {
+        // Check if URL matches any of the user's ignore rules
+        return this.urlRules.isIgnored(url);
+    }
+    
+    // Canonicalise a URL - the form used for the cache, the queue and VirusTotal submissions
+    sanitizeUrl(url) {
+        let urlObj;
+        try {
+            urlObj = new URL(url);
+        } catch (e) {
+            return url;
+        }
+        
+        // For Discord CDN links, remove the query parameters which can cause issues
+        if (urlObj.hostname === 'cdn.discordapp.com' && urlObj.pathname.startsWith('/attachments/')) {
+            urlObj.search = '';
+            urlObj.hash = '';
+            return urlObj.toString();
+        }
+        
+        if (!this.canonicalization.enabled) {
+            return url;
+        }
+        
+        // The URL parser already lowercases the host and drops default ports
+        if (this.canonicalization.stripFragments) {
+            urlObj.hash = '';
+        }
+        
+        // Remove tracking parameters
+        const host = urlObj.hostname;
+        for (const name of [...urlObj.searchParams.keys()]) {
+            if (this.isTrackingParam(name, host)) {
+                urlObj.searchParams.delete(name);
             }
-            .vt-empty-list {
-                padding: 5px;
-                color: var(--text-muted);
+        }
+        if (urlObj.searchParams.toString() === '') {
+            urlObj.search = '';
+        }
+        
+        // Remove trailing slashes from paths, but keep the root path
+        if (this.canonicalization.trimTrailingSlash && urlObj.pathname.length > 1) {
+            urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+        }
+        
+        return urlObj.toString();
+    }
+    
+    // Check a query parameter against the tracking parameter rules
+    // Rules are a parameter name ("fbclid"), a prefix ("utm_*") or either scoped to a domain ("youtube.com:si")
+    isTrackingParam(name, host) {
+        const param = name.toLowerCase();
+        
+        return this.canonicalization.trackingParams.some(rule => {
+            let pattern = rule;
+            const separator = rule.indexOf(':');
+            if (separator !== -1) {
+                const domain = rule.slice(0, separator);
+                if (host !== domain && !host.endsWith(`.${domain}`)) return false;
+                pattern = rule.slice(separator + 1);
             }
-        `);
+            
+            return pattern.endsWith('*') ? param.startsWith(pattern.slice(0, -1)) : param === pattern;
+        });
     }
     
-    // Settings panel
-    getSettingsPanel() {
-        const panel = document.createElement("div");
-        panel.className = "vt-settings-panel";
+    // Add a scan button next to a link
+    addScanButton(linkElement) {
+        let url = this.getLinkUrl(linkElement);
+        if (!url) return;
+        this.urlRules.recordRecent(url);
         
-        // API Key field
-        const apiKeyGroup = document.createElement("div");
-        apiKeyGroup.className = "vt-settings-group";
+        // Masked links can show one domain and open another
+        this.markMaskedLinkMismatch(linkElement, url);
         
-        const apiKeyLabel = document.createElement("h3");
-        apiKeyLabel.textContent = "VirusTotal API Key";
+        // Skip internal Discord links and ignored patterns
+        if (this.shouldIgnoreUrl(url)) {
+            this.log(`Ignoring URL: ${url}`);
+            return;
+        }
         
-        const apiKeyInput = document.createElement("input");
-        apiKeyInput.type = "password";
-        apiKeyInput.value = this.apiKey;
-        apiKeyInput.placeholder = "Enter your VirusTotal API Key";
-        apiKeyInput.className = "vt-input";
-        apiKeyInput.addEventListener("input", () => {
-            this.apiKey = apiKeyInput.value;
-            this.saveSettings();
+        // Check if this link already has a scan button
+        if (linkElement.nextSibling && linkElement.nextSibling.classList && 
+            linkElement.nextSibling.classList.contains('vt-scan-button')) {
+            return;
+        }
+        
+        // Sanitize URL for VirusTotal submission
+        const sanitizedUrl = this.sanitizeUrl(url);
+        
+        // Create scan button
+        const scanButton = document.createElement('span');
+        scanButton.className = 'vt-scan-button';
+        scanButton.textContent = 'Scan';
+        scanButton.title = 'Scan with VirusTotal';
+        
+        // Check if we already have results for this URL
+        this.applyCachedResult(linkElement, sanitizedUrl);
+        
+        // Make sure links for scans already in progress get the verdict too
+        if (this.isPendingStatus(this.processedUrls.get(sanitizedUrl))) {
+            this.trackLinkElement(sanitizedUrl, linkElement);
+        }
+        
+        if (this.processedUrls.has(sanitizedUrl)) {
+            const status = this.processedUrls.get(sanitizedUrl);
+            scanButton.textContent = this.getScanButtonText(status);
+            scanButton.style.backgroundColor = this.getScanButtonColor(status);
+            this.updateStaleMarker(scanButton, this.getCachedResult(sanitizedUrl)?.result);
+        }
+        
+        // Lookalike domains are flagged locally, before any scan
+        const lookalike = !this.processedUrls.has(sanitizedUrl) && this.lookalikeDetector.check(sanitizedUrl);
+        if (this.lookalikeDetector.isVerdict(lookalike)) {
+            linkElement.classList.add("vt-link-lookalike");
+            scanButton.textContent = this.getScanButtonText('lookalike');
+            scanButton.style.backgroundColor = this.getScanButtonColor('lookalike');
+            scanButton.title = `Lookalike domain: ${lookalike.reason}. Click to scan with VirusTotal`;
+        }
+        
+        // Trusted links are never scanned automatically, but can still be scanned by hand
+        const trusted = !this.processedUrls.has(sanitizedUrl) && this.urlRules.isAllowed(url);
+        if (trusted) {
+            scanButton.textContent = this.getScanButtonText('trusted');
+            scanButton.style.backgroundColor = this.getScanButtonColor('trusted');
+            scanButton.title = 'Trusted link - click to scan with VirusTotal anyway';
+        }
+        
+        // Add click handler
+        scanButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            // If URL is already processed, show results
+            const cached = this.getCachedResult(sanitizedUrl);
+            if (this.processedUrls.has(sanitizedUrl)) {
+                const status = this.processedUrls.get(sanitizedUrl);
+                
+                // If it's an actual result (not still scanning), update the UI
+                if (!this.isPendingStatus(status)) {
+                    this.trackLinkElement(sanitizedUrl, linkElement);
+                    this.updateLinkElements(sanitizedUrl, status, cached ? cached.result : null);
+                } else if (this.scanQueue.has(sanitizedUrl)) {
+                    // Clicking a link that is waiting in the background moves it to the front
+                    this.queueForScanning(sanitizedUrl, this.SCAN_PRIORITY.USER);
+                }
+                return;
+            }
+            
+            // Otherwise, process the link ahead of anything queued in the background
+            this.processLink(linkElement, sanitizedUrl, this.SCAN_PRIORITY.USER);
+            
+            // Update button to show scanning
+            scanButton.textContent = 'Scanning...';
+            scanButton.style.backgroundColor = '#7289da';
         });
         
-        apiKeyGroup.appendChild(apiKeyLabel);
-        apiKeyGroup.appendChild(apiKeyInput);
+        // Insert after the link
+        if (linkElement.parentNode) {
+            linkElement.parentNode.insertBefore(scanButton, linkElement.nextSibling);
+        }
         
-        // Enabled toggle
-        const enabledGroup = document.createElement("div");
-        enabledGroup.className = "vt-settings-group";
+        // Blocklisted links are marked as soon as they appear, even trusted ones
+        if (!this.processedUrls.has(sanitizedUrl) && this.scanProviders.findBlocklisted(sanitizedUrl)) {
+            this.processLink(linkElement, sanitizedUrl, this.SCAN_PRIORITY.USER);
+        }
         
-        const enabledLabel = document.createElement("h3");
-        enabledLabel.textContent = "Enable Scanner";
+        // Score the link locally before anything is queued
+        if (!trusted && this.heuristics.enabled) {
+            this.applyRiskScore(linkElement, url, sanitizedUrl, scanButton);
+        }
         
-        const enabledToggle = document.createElement("div");
-        enabledToggle.className = "vt-toggle";
-        enabledToggle.classList.toggle("vt-toggle-checked", this.enabled);
-        enabledToggle.addEventListener("click", () => {
-            this.enabled = !this.enabled;
-            enabledToggle.classList.toggle("vt-toggle-checked", this.enabled);
-            this.saveSettings();
-            
-            if (this.enabled) {
-                this.startLinkObserver();
-                this.startQueueProcessor();
-            } else {
-                if (this.linkObserver) {
-                    this.linkObserver.disconnect();
-                    this.linkObserver = null;
-                }
-                if (this.queueInterval) {
-                    clearInterval(this.queueInterval);
-                    this.queueInterval = null;
-                }
-            }
+        // Scan on hover or straight away if the trigger for this scope asks for it
+        if (!trusted) {
+            this.applyScanTrigger(linkElement, sanitizedUrl, scanButton);
+        }
+    }
+    
+    // Score a link locally, show the score on its button, and warn about or fast-track risky links
+    applyRiskScore(linkElement, url, sanitizedUrl, scanButton) {
+        const message = linkElement.closest && (linkElement.closest('li[id^="chat-messages-"]') || linkElement.closest('[id^="message-content-"]'));
+        const risk = this.scamHeuristics.score(url, {
+            messageText: message ? this.getMessageText(message) : "",
+            mismatch: linkElement._vtMismatch
         });
         
-        enabledGroup.appendChild(enabledLabel);
-        enabledGroup.appendChild(enabledToggle);
+        linkElement._vtRisk = risk;
+        if (risk.score === 0) return;
         
-        // Debug toggle
-        const debugGroup = document.createElement("div");
-        debugGroup.className = "vt-settings-group";
+        scanButton.dataset.vtRisk = risk.score;
+        scanButton.dataset.vtRiskLevel = this.scamHeuristics.getLevel(risk.score);
+        scanButton.title += `\nRisk score ${risk.score}: ${risk.signals.map(signal => signal.label).join("; ")}`;
         
-        const debugLabel = document.createElement("h3");
-        debugLabel.textContent = "Debug Mode";
+        if (risk.score < this.heuristics.warnScore) return;
         
-        const debugToggle = document.createElement("div");
-        debugToggle.className = "vt-toggle";
-        debugToggle.classList.toggle("vt-toggle-checked", this.debug);
-        debugToggle.addEventListener("click", () => {
-            this.debug = !this.debug;
-            debugToggle.classList.toggle("vt-toggle-checked", this.debug);
-            this.saveSettings();
-        });
+        // Warn once per link, not every time Discord re-renders the message
+        if (!this.riskWarnedUrls.has(sanitizedUrl)) {
+            this.riskWarnedUrls.add(sanitizedUrl);
+            BdApi.showToast(`High-risk link (score ${risk.score}): ${risk.signals[0].label}`, { type: "warning" });
+        }
         
-        debugGroup.appendChild(debugLabel);
-        debugGroup.appendChild(debugToggle);
+        // Optionally check it with VirusTotal ahead of everything else
+        if (this.heuristics.prioritize && this.enabled && this.scanProviders.hasAnyProvider() && !this.processedUrls.has(sanitizedUrl)) {
+            this.log(`Fast-tracking high-risk link (score ${risk.score}): ${sanitizedUrl}`);
+            this.processLink(linkElement, sanitizedUrl, this.SCAN_PRIORITY.USER);
+            scanButton.textContent = this.getScanButtonText('scanning');
+            scanButton.style.backgroundColor = this.getScanButtonColor('scanning');
+        }
+    }
+    
+    // Get the text of a message without the buttons and badges the plugin added to it
+    getMessageText(message) {
+        const copy = message.cloneNode(true);
+        copy.querySelectorAll('.vt-scan-button, .vt-author-badge, .vt-mismatch-badge').forEach(element => element.remove());
+        return copy.textContent;
+    }
+    
+    // Get the server and channel currently open in Discord
+    getCurrentScope() {
+        const match = window.location.pathname.match(/^\/channels\/(@me|\d+)\/(\d+)/);
+        if (!match) {
+            return { guildId: null, channelId: null, isDM: false };
+        }
         
-        // Threshold setting
-        const thresholdGroup = document.createElement("div");
-        thresholdGroup.className = "vt-settings-group";
-        
-        const thresholdLabel = document.createElement("h3");
-        thresholdLabel.textContent = "Alert Threshold (suspicious engines)";
-        
-        const thresholdInput = document.createElement("input");
-        thresholdInput.type = "number";
-        thresholdInput.min = "1";
-        thresholdInput.max = "20";
-        thresholdInput.value = this.threshold;
-        thresholdInput.className = "vt-input";
-        thresholdInput.addEventListener("change", () => {
-            this.threshold = parseInt(thresholdInput.value) || 5;
-            this.saveSettings();
-        });
+        return {
+            guildId: match[1] === "@me" ? null : match[1],
+            channelId: match[2],
+            isDM: match[1] === "@me"
+        };
+    }
+    
+    // Get the scan trigger for a scope - channel overrides win over server/DM overrides, which win over the global setting
+    getScanTrigger(scope) {
+        const { global, dms, guilds, channels } = this.scanTrigger;
         
-        thresholdGroup.appendChild(thresholdLabel);
-        thresholdGroup.appendChild(thresholdInput);
+        if (scope.channelId && channels[scope.channelId]) {
+            return channels[scope.channelId].mode;
+        }
         
-        // Add all groups to panel
-        panel.appendChild(apiKeyGroup);
-        panel.appendChild(enabledGroup);
-        panel.appendChild(debugGroup);
-        panel.appendChild(thresholdGroup);
+        if (scope.isDM && dms !== "inherit") {
+            return dms;
+        }
         
-        // Add test button
-        const testGroup = document.createElement("div");
-        testGroup.className = "vt-settings-group";
+        if (scope.guildId && guilds[scope.guildId]) {
+            return guilds[scope.guildId].mode;
+        }
         
-        const testButton = document.createElement("button");
-        testButton.textContent = "Test API Connection";
-        testButton.style.padding = "8px 16px";
-        testButton.style.backgroundColor = "var(--brand-experiment, #5865f2)";
-        testButton.style.color = "white";
-        testButton.style.border = "none";
-        testButton.style.borderRadius = "4px";
-        testButton.style.cursor = "pointer";
-        testButton.addEventListener("click", async () => {
-            if (!this.apiKey) {
-                BdApi.showToast("API key not set", { type: "error" });
-                return;
-            }
-            
-            testButton.textContent = "Testing...";
-            testButton.disabled = true;
-            
-            try {
-                const result = await this.testApiConnection();
-                if (result.success) {
-                    BdApi.showToast("API connection successful", { type: "success" });
-                } else {
-                    BdApi.showToast(`API error: ${result.message}`, { type: "error" });
-                }
-            } catch (err) {
-                BdApi.showToast(`Test failed: ${err.message}`, { type: "error" });
-            }
+        return global;
+    }
+    
+    // Start scanning a link automatically or on hover, depending on the scan trigger
+    applyScanTrigger(linkElement, sanitizedUrl, scanButton) {
+        const trigger = this.getScanTrigger(this.getCurrentScope());
+        if (trigger === "manual" || !this.enabled || !this.scanProviders.hasAnyProvider()) return;
+        
+        const startScan = (priority) => {
+            // Skip links that are already cached or being scanned
+            if (this.getCachedResult(sanitizedUrl) || this.processedUrls.has(sanitizedUrl)) return;
             
-            testButton.textContent = "Test API Connection";
-            testButton.disabled = false;
-        });
+            this.processLink(linkElement, sanitizedUrl, priority);
+            scanButton.textContent = this.getScanButtonText('scanning');
+            scanButton.style.backgroundColor = this.getScanButtonColor('scanning');
+        };
         
-        testGroup.appendChild(testButton);
-        panel.appendChild(testGroup);
+        if (trigger === "auto") {
+            startScan(this.SCAN_PRIORITY.AUTO);
+        } else if (trigger === "hover") {
+            linkElement.addEventListener("mouseenter", () => startScan(this.SCAN_PRIORITY.VISIBLE), { once: true });
+        }
+    }
+    
+    // Get appropriate text for scan button based on status
+    getScanButtonText(status) {
+        switch(status) {
+            case 'malicious': return 'Malicious';
+            case 'suspicious': return 'Suspicious';
+            case 'clean': return 'Clean';
+            case 'scanning': return 'Scanning...';
+            case 'analysing': return 'Analysing...';
+            case 'unknown': return 'Unknown';
+            case 'lookalike': return 'Lookalike';
+            case 'blocklisted': return 'Blocklisted';
+            case 'error': return 'Error';
+            case 'trusted': return 'Trusted';
+            default: return 'Scan';
+        }
+    }
+    
+    // Get appropriate color for scan button based on status
+    getScanButtonColor(status) {
+        switch(status) {
+            case 'malicious': return '#f04747';
+            case 'suspicious': return '#faa61a';
+            case 'clean': return '#43b581';
+            case 'scanning': return '#7289da';
+            case 'analysing': return '#9b84ee';
+            case 'unknown': return '#4f545c';
+            case 'lookalike': return '#e67e22';
+            case 'blocklisted': return '#992d22';
+            case 'error': return '#747f8d';
+            case 'trusted': return '#1abc9c';
+            default: return 'var(--brand-experiment, #5865f2)';
+        }
+    }
+    
+    // Process a link element
+    processLink(linkElement, sanitizedUrl, priority = this.SCAN_PRIORITY.USER) {
+        if (!linkElement || !sanitizedUrl) return;
         
-        // Add collection and graph management
-        this.settingsExtension.extendSettingsPanel(panel);
+        // Associate this element with the URL for later update
+        this.trackLinkElement(sanitizedUrl, linkElement);
         
-        // Add auto-tracking settings
-        this.fileTracker.addAutoTrackingSettings(panel);
+        // Mark URL as being processed
+        this.processedUrls.set(sanitizedUrl, 'scanning');
         
-        return panel;
+        // Add scanning indicator
+        linkElement.classList.add("vt-link-scanning");
+        
+        // Blocklisted links get their verdict straight away, without any API request
+        const blocklisted = this.scanProviders.findBlocklisted(sanitizedUrl);
+        if (blocklisted) {
+            this.log(`Blocklisted by ${blocklisted.list}: ${sanitizedUrl}`);
+            this.finalizeScanResult(sanitizedUrl, this.createProviderResult(sanitizedUrl), null);
+            return;
+        }
+        
+        // Without VirusTotal, the other providers give the verdict on their own
+        if (!this.scanProviders.usesVirusTotal()) {
+            this.scanWithProviders(sanitizedUrl);
+            return;
+        }
+        
+        // Start the slower providers now so their verdicts are ready by the time VirusTotal answers
+        this.scanProviders.checkAsync(sanitizedUrl);
+        
+        // Attachments are downloaded and hashed before the hash is queued for lookup
+        if (this.isAttachmentUrl(sanitizedUrl)) {
+            this.prepareAttachment(sanitizedUrl, this.getLinkUrl(linkElement), priority);
+            return;
+        }
+        
+        // Queue this URL for scanning
+        this.queueForScanning(sanitizedUrl, priority);
     }
     
-    // Test the API connection
-    async testApiConnection() {
+    // Check if a URL points to a Discord attachment
+    isAttachmentUrl(url) {
+        return /^https:\/\/cdn\.discordapp\.com\/attachments\//.test(url);
+    }
+    
+    // Download and hash an attachment, then queue the hash for lookup
+    async prepareAttachment(url, sourceUrl, priority) {
+        // An attachment scanned before keeps its hash, so it is never downloaded twice
+        const cached = this.getCachedResult(url)?.result;
+        if (cached && cached.fileHash) {
+            this.queueForScanning(url, priority, { file: { sha256: cached.fileHash, name: cached.fileName, size: cached.fileSize } });
+            return;
+        }
+        
+        await this.acquireDownloadSlot(priority);
+        
         try {
-            const response = await BdApi.Net.fetch("https://www.virustotal.com/api/v3/urls/aHR0cHM6Ly9nb29nbGUuY29t", {
-                method: "GET",
-                headers: {
-                    "x-apikey": this.apiKey
-                }
-            });
-            
-            if (response.status === 401) {
-                return { success: false, message: "Invalid API key" };
-            }
-            
-            if (!response.ok) {
-                return { success: false, message: `HTTP error ${response.status}` };
-            }
+            // Stopped while waiting for a slot
+            if (!this.initialized || !this.enabled) return;
             
-            return { success: true };
+            const file = await this.hashAttachment(sourceUrl);
+            this.log(`Hashed attachment ${file.name}: ${file.sha256}`);
+            this.queueForScanning(url, priority, { file });
         } catch (err) {
-            return { success: false, message: err.message };
+            this.log(`ERROR: Failed to hash attachment: ${err.message}`);
+            this.processedUrls.set(url, 'error');
+            this.updateLinkElements(url, "error");
+            BdApi.showToast(`Could not check attachment: ${err.message}`, { type: "error" });
+        } finally {
+            this.releaseDownloadSlot();
         }
     }
     
-    // Start link observer
-    startLinkObserver() {
-        if (!this.enabled || this.linkObserver) return;
+    // Wait for a free download slot, so only a few attachments are held in memory at once
+    acquireDownloadSlot(priority) {
+        if (this.activeDownloads < this.MAX_ATTACHMENT_DOWNLOADS) {
+            this.activeDownloads++;
+            return Promise.resolve();
+        }
         
-        // Create a mutation observer to watch for new links
-        this.linkObserver = new MutationObserver((mutations) => {
-            if (!this.enabled) return;
-            
-            for (const mutation of mutations) {
-                if (mutation.type === "childList" && mutation.addedNodes.length > 0) {
-                    for (const node of mutation.addedNodes) {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            // Check if this is a link or contains links
-                            const links = node.tagName === "A" ? [node] : node.querySelectorAll("a");
-                            
-                            for (const link of links) {
-                                this.addScanButton(link);
-                            }
-                            
-                            // If a chat container or message group is added, this might be a channel switch
-                            if (node.classList && (
-                                node.classList.contains("chat-3bRxxu") || 
-                                node.classList.contains("messages-3amgkR") ||
-                                node.classList.contains("messagesWrapper-1sRNjr") ||
-                                node.classList.contains("chatContent-3KubbW")
-                            )) {
-                                this.log("Detected potential channel/server switch, re-processing existing links");
-                                setTimeout(() => this.processExistingLinks(), 500);
-                            }
-                        }
-                    }
-                }
-            }
+        return new Promise(resolve => {
+            this.downloadWaiters.push({ priority, resolve });
+            this.downloadWaiters.sort((a, b) => a.priority - b.priority);
         });
+    }
+    
+    // Hand a finished download's slot to the next attachment in line
+    releaseDownloadSlot() {
+        const next = this.downloadWaiters.shift();
+        if (next) {
+            next.resolve();
+        } else {
+            this.activeDownloads = Math.max(this.activeDownloads - 1, 0);
+        }
+    }
+    
+    // Download an attachment and compute its SHA-256 locally
+    async hashAttachment(sourceUrl) {
+        const maxBytes = this.attachmentMaxSizeMb * 1024 * 1024;
+        
+        // Use the original link - Discord CDN downloads need their signed query parameters
+        const response = await BdApi.Net.fetch(sourceUrl, { method: 'GET' });
+        if (!response.ok) {
+            throw new Error(`Download failed with status ${response.status}`);
+        }
+        
+        const contentLength = parseInt(response.headers && response.headers.get ? response.headers.get('content-length') : "");
+        if (contentLength > maxBytes) {
+            throw new Error(`Attachment is larger than ${this.attachmentMaxSizeMb} MB`);
+        }
+        
+        const buffer = await response.arrayBuffer();
+        if (buffer.byteLength > maxBytes) {
+            throw new Error(`Attachment is larger than ${this.attachmentMaxSizeMb} MB`);
+        }
+        
+        const digest = await crypto.subtle.digest("SHA-256", buffer);
+        const sha256 = Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        
+        return {
+            sha256,
+            name: decodeURIComponent(new URL(sourceUrl).pathname.split('/').pop() || 'attachment'),
+            size: buffer.byteLength
+        };
+    }
+    
+    // Format a byte count for display
+    formatBytes(bytes) {
+        if (!bytes && bytes !== 0) return 'unknown size';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    // Queue a URL for scanning, or raise its priority if it is already queued
+    queueForScanning(url, priority = this.SCAN_PRIORITY.BACKGROUND, extra = {}) {
+        if (!this.enabled || !this.scanProviders.usesVirusTotal()) return;
+        
+        this.scanQueue.enqueue(url, priority, extra);
+        this.log(`Queued for scanning: ${url} (priority ${priority})`);
+        
+        // Watch the links so the ones on screen are scanned first
+        for (const element of this.linkElements.get(url) || []) {
+            this.observeLinkVisibility(url, element);
+        }
+        
+        this.scheduleQueue();
+    }
+    
+    // Start the queue processor
+    startQueueProcessor() {
+        this.queueRunning = true;
+        this.scheduleQueue();
+    }
+    
+    // Stop the queue processor and anything waiting for rate limit capacity
+    stopQueueProcessor() {
+        this.queueRunning = false;
+        
+        if (this.queueTimer) {
+            clearTimeout(this.queueTimer);
+            this.queueTimer = null;
+        }
+        
+        if (this.rateLimiter) {
+            this.rateLimiter.cancelPending();
+        }
+    }
+    
+    // Process the queue as soon as the rate limiter has capacity
+    scheduleQueue() {
+        if (this.queueTimer) {
+            clearTimeout(this.queueTimer);
+            this.queueTimer = null;
+        }
         
-        // Start observing
-        this.linkObserver.observe(document.body, { 
-            childList: true, 
-            subtree: true 
-        });
+        if (!this.queueRunning || !this.enabled || !this.scanProviders.usesVirusTotal() || this.scanQueue.length === 0) {
+            return;
+        }
         
-        // Also process existing links
-        this.processExistingLinks();
+        const wait = this.rateLimiter.getWaitTime();
+        this.queueTimer = setTimeout(() => {
+            this.queueTimer = null;
+            this.processQueue();
+        }, wait);
+    }
+    
+    // Send queued URLs one at a time while there is capacity, then wait for more
+    async processQueue() {
+        if (this.queueBusy || !this.enabled || !this.scanProviders.usesVirusTotal()) return;
         
-        // Add a listener for Discord's navigation events
-        this.setupNavigationListener();
+        // A scan can need several requests, so wait for it before taking the next entry -
+        // otherwise later entries pile up in the rate limiter ahead of newer user scans
+        this.queueBusy = true;
+        try {
+            while (this.queueRunning && this.scanQueue.length > 0 && this.rateLimiter.canRequest()) {
+                const entry = this.scanQueue.dequeue();
+                if (!entry) break;
+                await this.scanQueuedUrl(entry);
+            }
+        } finally {
+            this.queueBusy = false;
+        }
+        
+        this.scheduleQueue();
     }
     
-    // Setup navigation listener
-    setupNavigationListener() {
-        // Store original methods
-        this._originalPushState = history.pushState;
-        this._originalReplaceState = history.replaceState;
+    // Scan a URL taken from the queue
+    async scanQueuedUrl(entry) {
+        const url = entry.url;
+        this.log(`Processing URL: ${url}`);
         
-        // Override methods
-        history.pushState = (...args) => {
-            this._originalPushState.apply(history, args);
-            this.log("Discord navigation detected (pushState)");
-            setTimeout(() => this.processExistingLinks(), 500);
-        };
+        try {
+            if (entry.file) {
+                await this.scanFileHash(url, entry.file, entry.priority === this.SCAN_PRIORITY.USER);
+            } else {
+                await this.scanWithVirusTotal(url);
+            }
+            
+            // Answered, or handed over to a pending analysis that is saved on its own
+            this.scanQueue.complete(url);
+        } catch (err) {
+            // Rate limited by VirusTotal - put it back in line and wait
+            if (err.rateLimited) {
+                this.log(`Rate limited while scanning, re-queueing: ${url}`);
+                this.scanQueue.requeue(entry);
+                for (const element of this.linkElements.get(url) || []) {
+                    this.observeLinkVisibility(url, element);
+                }
+                this.scheduleQueue();
+                return;
+            }
+            
+            // Stopped while waiting for capacity - the entry stays saved and is sent again next time
+            if (!this.initialized || !this.enabled) return;
+            
+            this.scanQueue.complete(url);
+            this.log(`ERROR: Failed to scan URL: ${err.message}`);
+            
+            // Update UI to show error
+            this.processedUrls.set(url, 'error');
+            this.updateLinkElements(url, "error");
+        }
+    }
+    
+    // Check if rate limited
+    isRateLimited() {
+        return !this.rateLimiter.canRequest();
+    }
+    
+    // Send a request to the VirusTotal API once the rate limiter allows it
+    async vtRequest(path, options = {}) {
+        await this.rateLimiter.acquire();
         
-        history.replaceState = (...args) => {
-            this._originalReplaceState.apply(history, args);
-            this.log("Discord navigation detected (replaceState)");
-            setTimeout(() => this.processExistingLinks(), 500);
-        };
+        // Upload URLs handed out by the API are already absolute
+        const endpoint = path.startsWith("https://") ? path : `https://www.virustotal.com/api/v3${path}`;
         
-        // Also listen for popstate events
-        window.addEventListener('popstate', () => {
-            this.log("Discord navigation detected (popstate)");
-            setTimeout(() => this.processExistingLinks(), 500);
+        const response = await BdApi.Net.fetch(endpoint, {
+            ...options,
+            headers: {
+                'x-apikey': this.apiKey,
+                ...(options.headers || {})
+            }
         });
+        
+        // Back off on HTTP 429 instead of treating it as a scan failure
+        if (response.status === 429) {
+            const retryAfter = response.headers && response.headers.get ? response.headers.get('retry-after') : null;
+            this.rateLimiter.handleTooManyRequests(retryAfter);
+            
+            const error = new Error("VirusTotal rate limit exceeded");
+            error.rateLimited = true;
+            throw error;
+        }
+        
+        return response;
     }
-
-    // Process existing links
-    processExistingLinks() {
-        const links = document.querySelectorAll("a");
+    
+    // Scan a URL with VirusTotal
+    async scanWithVirusTotal(url) {
+        if (!this.apiKey) {
+            this.log("ERROR: API key not set");
+            return;
+        }
         
-        for (const link of links) {
-            if (!link.href) continue;
+        try {
+            // Check the domain or IP first - a new URL on a known-bad host is still a risk
+            let host = null;
+            if (this.hostLookups) {
+                try {
+                    host = await this.lookupHostReputation(url);
+                } catch (err) {
+                    if (err.rateLimited) throw err;
+                    this.log(`ERROR: Host reputation lookup failed: ${err.message}`);
+                }
+            }
             
-            const url = this.sanitizeUrl(link.href);
+            // Expand known shorteners ourselves if configured
+            let redirect = {};
+            if (this.redirects.resolver === "local" && this.isShortenerUrl(url)) {
+                try {
+                    const chain = await this.resolveRedirectsLocally(url);
+                    if (chain.length > 1) {
+                        redirect = { redirectChain: chain, finalUrl: chain[chain.length - 1] };
+                    }
+                } catch (err) {
+                    this.log(`ERROR: Local redirect resolution failed: ${err.message}`);
+                }
+            }
             
-            // Add scan button if needed
-            this.addScanButton(link);
+            // Encode the URL for the API request
+            const encodedUrl = btoa(url).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+            
+            // Check if the URL has already been analyzed
+            const response = await this.vtRequest(`/urls/${encodedUrl}`, {
+                method: 'GET'
+            });
             
-            // Check if we have already processed this URL
-            if (this.processedUrls.has(url)) {
-                const status = this.processedUrls.get(url);
+            if (response.status === 404) {
+                // URL not found, submit it for analysis
+                this.log(`URL not analyzed before, submitting: ${url}`);
+                const analysisId = await this.submitUrlForAnalysis(url);
                 
-                // If we have a result (not just "scanning"), restore styling
-                if (status !== "scanning" && status !== "error") {
-                    // Add this link to the elements map if not already there
-                    if (!this.linkElements.has(url)) {
-                        this.linkElements.set(url, new Set());
-                    }
-                    
-                    this.linkElements.get(url).add(link);
-                    
-                    // Update the link styling and add tooltip
-                    link.classList.remove("vt-link-scanning", "vt-link-malicious", "vt-link-suspicious", "vt-link-clean");
-                    link.classList.add(`vt-link-${status}`);
-                    
-                    // Re-add tooltip if needed
-                    // We need to get the scan result data
-                    try {
-                        // We'll create a minimal scan result with the info we have
-                        const minimalScanResult = {
-                            url: url,
-                            lastScan: Date.now() / 1000, // Current time as timestamp
-                            vtLink: `https://www.virustotal.com/gui/url/${btoa(url).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}/detection`,
-                            malicious: 0,
-                            suspicious: 0,
-                            harmless: 0,
-                            totalEngines: 0,
-                            engines: { malicious: [], suspicious: [] }
-                        };
-                        
-                        // Set appropriate values based on status
-                        if (status === "malicious") {
-                            minimalScanResult.malicious = 1; // At least 1 detection
-                            minimalScanResult.totalEngines = 1;
-                        } else if (status === "suspicious") {
-                            minimalScanResult.suspicious = this.threshold;
-                            minimalScanResult.totalEngines = this.threshold;
-                        } else {
-                            minimalScanResult.harmless = 1;
-                            minimalScanResult.totalEngines = 1;
-                        }
-                        
-                        this.addTooltip(link, minimalScanResult);
-                    } catch (e) {
-                        this.log(`ERROR: Failed to restore tooltip: ${e.message}`);
-                    }
-                }
+                // Show the link as analysing and poll the analysis until it finishes
+                this.processedUrls.set(url, 'analysing');
+                this.updateLinkElements(url, "analysing");
+                this.pollAnalysis(url, analysisId, { host, ...redirect });
+                
+                return;
+            }
+            
+            if (!response.ok) {
+                throw new Error(`API request failed with status ${response.status}`);
             }
+            
+            const data = await response.json();
+            this.processVirusTotalResults(url, data, { host, ...redirect });
+            
+        } catch (err) {
+            if (err.rateLimited) throw err;
+            
+            this.log(`ERROR: Scan failed: ${err.message}`);
+            this.processedUrls.set(url, 'error');
+            this.updateLinkElements(url, "error");
+            throw err;
         }
     }
     
-    // Should the URL be ignored?
-    shouldIgnoreUrl(url) {
-        // Check if URL matches any of our ignored patterns
-        for (const pattern of this.ignoredPatterns) {
-            if (pattern.test(url)) {
-                return true;
+    // Look up an attachment's hash on VirusTotal
+    async scanFileHash(url, file, userStarted = false) {
+        try {
+            const response = await this.vtRequest(`/files/${file.sha256}`, {
+                method: 'GET'
+            });
+            
+            if (response.status === 404) {
+                this.log(`File not known to VirusTotal: ${file.name} (${file.sha256})`);
+                this.processUnknownFile(url, file, userStarted);
+                return;
+            }
+            
+            if (!response.ok) {
+                throw new Error(`File lookup failed with status ${response.status}`);
             }
+            
+            const data = await response.json();
+            this.processVirusTotalResults(url, data, this.getFileDetails(file, data));
+            
+        } catch (err) {
+            if (err.rateLimited) throw err;
+            
+            this.log(`ERROR: File lookup failed: ${err.message}`);
+            this.processedUrls.set(url, 'error');
+            this.updateLinkElements(url, "error");
+            throw err;
         }
-        
-        return false;
     }
     
-    // Sanitize URL for VirusTotal submission
-    sanitizeUrl(url) {
-        // For Discord CDN links, remove the query parameters which can cause issues
-        if (url.includes('cdn.discordapp.com/attachments/')) {
-            const urlObj = new URL(url);
-            // Remove Discord CDN query parameters
-            urlObj.search = '';
-            return urlObj.toString();
-        }
+    // Get the file-specific fields for a scan result
+    getFileDetails(file, data) {
+        const attributes = data?.data?.attributes || {};
         
-        // For other URLs, return as is
-        return url;
+        return {
+            fileHash: file.sha256,
+            fileName: attributes.meaningful_name || file.name,
+            fileType: attributes.type_description || null,
+            fileSize: attributes.size || file.size,
+            threatLabel: attributes.popular_threat_classification?.suggested_threat_label || null,
+            vtLink: `https://www.virustotal.com/gui/file/${file.sha256}/detection`
+        };
     }
     
-    // Add a scan button next to a link
-    addScanButton(linkElement) {
-        if (!linkElement || !linkElement.href) return;
+    // Record an attachment VirusTotal has never seen
+    processUnknownFile(url, file, userStarted = false) {
+        const scanResult = {
+            url,
+            malicious: 0,
+            suspicious: 0,
+            harmless: 0,
+            totalEngines: 0,
+            engines: { malicious: [], suspicious: [] },
+            lastScan: Date.now() / 1000,
+            notFound: true,
+            ...this.getFileDetails(file, null)
+        };
         
-        let url = linkElement.href;
+        this.processedUrls.set(url, 'unknown');
+        this.resultCache.set(url, 'unknown', scanResult);
+        this.scanHistory.record(url, 'unknown', scanResult, this.getAnyLinkElement(url));
+        this.updateLinkElements(url, "unknown", scanResult);
         
-        // Skip internal Discord links and ignored patterns
-        if (this.shouldIgnoreUrl(url)) {
-            this.log(`Ignoring URL: ${url}`);
+        // Nothing more can be learned without uploading the file. Only scans the user started ask straight away,
+        // automatic ones leave the upload button in the tooltip instead of popping up a dialog
+        if (userStarted) {
+            this.offerFileUpload(url, file);
+        }
+    }
+    
+    // Offer to upload an attachment VirusTotal has never seen, if uploads are enabled
+    offerFileUpload(url, file, linkElement = null) {
+        if (!this.fileUpload.enabled) return;
+        
+        if (file.size > this.fileUpload.maxSizeMb * 1024 * 1024) {
+            this.log(`Not offering upload for ${file.name}: larger than ${this.fileUpload.maxSizeMb} MB`);
             return;
         }
         
-        // Check if this link already has a scan button
-        if (linkElement.nextSibling && linkElement.nextSibling.classList && 
-            linkElement.nextSibling.classList.contains('vt-scan-button')) {
+        // Find a link for this attachment so we know who posted it and can download it again
+        const element = linkElement || [...(this.linkElements.get(url) || [])].find(e => document.body.contains(e));
+        if (!element) {
+            this.log(`Not offering upload for ${file.name}: attachment is no longer on screen`);
             return;
         }
         
-        // Sanitize URL for VirusTotal submission
-        const sanitizedUrl = this.sanitizeUrl(url);
+        const context = this.getMessageContext(element);
+        const uploader = context.authorName || "Unknown user";
         
-        // Create scan button
-        const scanButton = document.createElement('span');
-        scanButton.className = 'vt-scan-button';
-        scanButton.textContent = 'Scan';
-        scanButton.title = 'Scan with VirusTotal';
+        const detailRow = (label, value) => BdApi.React.createElement("div", {
+            style: { marginBottom: "4px" }
+        }, [
+            BdApi.React.createElement("strong", null, `${label}: `),
+            value
+        ]);
         
-        // Check if we already have results for this URL
-        if (this.processedUrls.has(sanitizedUrl)) {
-            const status = this.processedUrls.get(sanitizedUrl);
-            scanButton.textContent = this.getScanButtonText(status);
-            scanButton.style.backgroundColor = this.getScanButtonColor(status);
-        }
+        BdApi.showConfirmationModal(
+            "Upload file to VirusTotal?",
+            BdApi.React.createElement("div", null, [
+                BdApi.React.createElement("p", {
+                    style: { marginBottom: "10px", color: "var(--text-normal)" }
+                }, "VirusTotal has never seen this file. Uploading it makes it available to VirusTotal and its partners - never upload private documents."),
+                BdApi.React.createElement("div", {
+                    style: {
+                        padding: "8px",
+                        borderRadius: "4px",
+                        backgroundColor: "var(--background-secondary)",
+                        color: "var(--text-normal)",
+                        wordBreak: "break-all"
+                    }
+                }, [
+                    detailRow("File", file.name),
+                    detailRow("Size", this.formatBytes(file.size)),
+                    detailRow("Uploaded by", uploader),
+                    detailRow("SHA-256", file.sha256)
+                ])
+            ]),
+            {
+                danger: true,
+                confirmText: "Upload",
+                cancelText: "Don't Upload",
+                onConfirm: () => this.uploadFile(url, file, this.getLinkUrl(element))
+            }
+        );
+    }
+    
+    // Upload an attachment and track its analysis until the verdict is ready
+    async uploadFile(url, file, sourceUrl) {
+        this.processedUrls.set(url, 'scanning');
+        this.updateLinkElements(url, "scanning");
+        BdApi.showToast(`Uploading ${file.name} to VirusTotal...`, { type: "info" });
         
-        // Add click handler
-        scanButton.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
+        try {
+            const download = await BdApi.Net.fetch(sourceUrl, { method: 'GET' });
+            if (!download.ok) {
+                throw new Error(`Download failed with status ${download.status}`);
+            }
+            const bytes = new Uint8Array(await download.arrayBuffer());
             
-            // If URL is already processed, show results
-            if (this.processedUrls.has(sanitizedUrl)) {
-                const status = this.processedUrls.get(sanitizedUrl);
-                
-                // If it's an actual result (not "scanning"), update the UI
-                if (status !== 'scanning') {
-                    this.updateLinkElements(sanitizedUrl, status);
+            // Files over 32 MB have to go to a one-off upload URL
+            let uploadPath = '/files';
+            if (bytes.byteLength > 32 * 1024 * 1024) {
+                const uploadUrlResponse = await this.vtRequest('/files/upload_url', { method: 'GET' });
+                if (!uploadUrlResponse.ok) {
+                    throw new Error(`Upload URL request failed with status ${uploadUrlResponse.status}`);
                 }
-                return;
+                uploadPath = (await uploadUrlResponse.json()).data;
             }
             
-            // Otherwise, process the link
-            this.processLink(linkElement, sanitizedUrl);
+            const { body, contentType } = this.buildMultipartBody(file.name, bytes);
+            const response = await this.vtRequest(uploadPath, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': contentType
+                },
+                body
+            });
             
-            // Update button to show scanning
-            scanButton.textContent = 'Scanning...';
-            scanButton.style.backgroundColor = '#7289da';
-        });
-        
-        // Insert after the link
-        if (linkElement.parentNode) {
-            linkElement.parentNode.insertBefore(scanButton, linkElement.nextSibling);
+            if (!response.ok) {
+                throw new Error(`Upload failed with status ${response.status}`);
+            }
+            
+            const analysisId = (await response.json())?.data?.id;
+            if (!analysisId) {
+                throw new Error("Upload returned no analysis ID");
+            }
+            
+            this.log(`Uploaded ${file.name} for analysis (analysis ${analysisId})`);
+            
+            // Drop the "unknown" verdict and wait for the real one
+            this.resultCache.delete(url);
+            this.processedUrls.set(url, 'analysing');
+            this.updateLinkElements(url, "analysing");
+            this.pollAnalysis(url, analysisId, this.getFileDetails(file, null));
+            
+        } catch (err) {
+            const message = err.rateLimited ? "VirusTotal rate limit exceeded, try again later" : err.message;
+            this.log(`ERROR: File upload failed: ${message}`);
+            BdApi.showToast(`File upload failed: ${message}`, { type: "error" });
+            
+            // Go back to showing the file as unknown
+            const cached = this.getCachedResult(url);
+            if (cached) {
+                this.processedUrls.set(url, cached.status);
+                this.updateLinkElements(url, cached.status, cached.result);
+            } else {
+                this.processedUrls.set(url, 'error');
+                this.updateLinkElements(url, "error");
+            }
         }
     }
     
-    // Get appropriate text for scan button based on status
-    getScanButtonText(status) {
-        switch(status) {
-            case 'malicious': return 'Malicious';
-            case 'suspicious': return 'Suspicious';
-            case 'clean': return 'Clean';
-            case 'scanning': return 'Scanning...';
-            case 'error': return 'Error';
-            default: return 'Scan';
+    // Build a multipart/form-data body containing a single file
+    buildMultipartBody(fileName, bytes) {
+        const boundary = `----VirusTotalScanner${Date.now().toString(16)}`;
+        const encoder = new TextEncoder();
+        const safeName = fileName.replace(/["\r\n]/g, '_');
+        
+        const head = encoder.encode(
+            `--${boundary}\r\n` +
+            `Content-Disposition: form-data; name="file"; filename="${safeName}"\r\n` +
+            `Content-Type: application/octet-stream\r\n\r\n`
+        );
+        const tail = encoder.encode(`\r\n--${boundary}--\r\n`);
+        
+        const body = new Uint8Array(head.byteLength + bytes.byteLength + tail.byteLength);
+        body.set(head, 0);
+        body.set(bytes, head.byteLength);
+        body.set(tail, head.byteLength + bytes.byteLength);
+        
+        return { body, contentType: `multipart/form-data; boundary=${boundary}` };
+    }
+    
+    // Get the Discord message (server, channel, message and author) a link element belongs to
+    getMessageContext(element) {
+        const scope = this.getCurrentScope();
+        const context = {
+            guildId: scope.guildId,
+            channelId: scope.channelId,
+            messageId: null,
+            authorId: null,
+            authorName: null
+        };
+        
+        // Message list items have IDs like chat-messages-{channelId}-{messageId}
+        const messageElement = element && element.closest ? element.closest('[id^="chat-messages-"]') : null;
+        if (!messageElement) return context;
+        
+        const ids = messageElement.id.replace("chat-messages-", "").split("-");
+        if (ids.length === 2) {
+            context.channelId = ids[0];
+            context.messageId = ids[1];
+        }
+        
+        try {
+            const MessageStore = BdApi.Webpack.getStore("MessageStore");
+            const message = MessageStore?.getMessage(context.channelId, context.messageId);
+            if (message && message.author) {
+                context.authorId = message.author.id;
+                context.authorName = message.author.globalName || message.author.username;
+            }
+        } catch (error) {
+            this.log(`ERROR: Failed to look up message author: ${error.message}`);
         }
+        
+        return context;
     }
     
-    // Get appropriate color for scan button based on status
-    getScanButtonColor(status) {
-        switch(status) {
-            case 'malicious': return '#f04747';
-            case 'suspicious': return '#faa61a';
-            case 'clean': return '#43b581';
-            case 'scanning': return '#7289da';
-            case 'error': return '#747f8d';
-            default: return 'var(--brand-experiment, #5865f2)';
+    // Re-check finished verdicts after the blocklists change, so new entries take effect and removed ones stop applying
+    reapplyBlocklists() {
+        for (const [url, status] of [...this.processedUrls]) {
+            if (this.isPendingStatus(status)) continue;
+            
+            const listed = !!this.scanProviders.findBlocklisted(url);
+            if (listed === (status === "blocklisted")) continue;
+            
+            // Links off screen are checked again when they next appear
+            this.resultCache.delete(url);
+            this.processedUrls.delete(url);
+            
+            const elements = [...(this.linkElements.get(url) || [])].filter(element => document.body.contains(element));
+            if (elements.length === 0) continue;
+            
+            if (listed) {
+                this.log(`Newly blocklisted: ${url}`);
+                this.processLink(elements[0], url, this.SCAN_PRIORITY.USER);
+                continue;
+            }
+            
+            // No longer listed - back to unscanned, so the usual scan trigger decides what happens next
+            this.log(`No longer blocklisted: ${url}`);
+            for (const element of elements) {
+                element.classList.remove("vt-link-blocklisted");
+                this.updateEmbedVerdict(element);
+                
+                const scanButton = element.nextSibling;
+                if (scanButton && scanButton.classList && scanButton.classList.contains('vt-scan-button')) {
+                    scanButton.textContent = this.getScanButtonText(null);
+                    scanButton.style.backgroundColor = this.getScanButtonColor(null);
+                    scanButton.title = 'Scan with VirusTotal';
+                    this.applyScanTrigger(element, url, scanButton);
+                }
+            }
         }
     }
     
-    // Process a link element
-    processLink(linkElement, sanitizedUrl) {
-        if (!linkElement || !sanitizedUrl) return;
-        
-        // Associate this element with the URL for later update
-        if (!this.linkElements.has(sanitizedUrl)) {
-            this.linkElements.set(sanitizedUrl, new Set());
+    // Trust a link that was flagged by mistake, so it isn't flagged or scanned automatically again
+    markFalsePositive(url) {
+        if (!this.urlRules.isAllowed(url)) {
+            this.urlRules.add("allow", "regex", `^${url.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`);
         }
-        this.linkElements.get(sanitizedUrl).add(linkElement);
         
-        // Mark URL as being processed
-        this.processedUrls.set(sanitizedUrl, 'scanning');
+        this.resultCache.delete(url);
+        this.processedUrls.delete(url);
         
-        // Add scanning indicator
-        linkElement.classList.add("vt-link-scanning");
+        for (const element of this.linkElements.get(url) || []) {
+            element.classList.remove("vt-link-malicious", "vt-link-blocklisted", "vt-link-suspicious", "vt-link-lookalike", "vt-link-clean", "vt-link-unknown");
+            this.updateEmbedVerdict(element);
+            
+            const scanButton = element.nextSibling;
+            if (scanButton && scanButton.classList && scanButton.classList.contains('vt-scan-button')) {
+                scanButton.textContent = this.getScanButtonText('trusted');
+                scanButton.style.backgroundColor = this.getScanButtonColor('trusted');
+                scanButton.title = 'Trusted link - click to scan with VirusTotal anyway';
+            }
+        }
         
-        // Queue this URL for scanning
-        this.queueForScanning(sanitizedUrl);
+        this.log(`Marked as false positive: ${url}`);
+        BdApi.showToast("Marked as a false positive - this link is now trusted", { type: "success" });
     }
     
-    // Queue a URL for scanning
-    queueForScanning(url) {
-        if (!this.enabled || !this.apiKey) return;
+    // Get an element for a URL, preferring one still on screen - removed ones still know their message
+    getAnyLinkElement(url) {
+        const elements = [...(this.linkElements.get(url) || [])];
+        return elements.find(e => document.body.contains(e)) || elements[0] || null;
+    }
+    
+    // Open the Discord message a scan came from
+    jumpToMessage(context) {
+        if (!context.channelId || !context.messageId) return;
         
-        // Add to queue if not already there
-        if (!this.requestQueue.includes(url)) {
-            this.requestQueue.push(url);
-            this.log(`Queued for scanning: ${url}`);
+        try {
+            const router = BdApi.Webpack.getByKeys("transitionTo");
+            router.transitionTo(`/channels/${context.guildId || "@me"}/${context.channelId}/${context.messageId}`);
+        } catch (error) {
+            this.log(`ERROR: Failed to jump to message: ${error.message}`);
+            BdApi.showToast("Couldn't open the message", { type: "error" });
         }
     }
     
-    // Start the queue processor
-    startQueueProcessor() {
-        if (this.queueInterval) {
-            clearInterval(this.queueInterval);
+    // Look up the reputation of a URL's domain or IP address, cached separately per host
+    async lookupHostReputation(url) {
+        let host;
+        try {
+            host = new URL(url).hostname.toLowerCase();
+        } catch (e) {
+            return null;
         }
+        if (!host) return null;
         
-        this.queueInterval = setInterval(() => {
-            this.processNextInQueue();
-        }, 15000); // Process a URL every 15 seconds to respect rate limits
-    }
-    
-    // Process the next URL in the queue
-    async processNextInQueue() {
-        if (!this.enabled || !this.apiKey || this.requestQueue.length === 0) {
-            return;
+        const cached = this.domainCache.get(host);
+        if (cached) {
+            this.log(`Using cached reputation for ${host}`);
+            // Re-apply the policy, so hosts cached before a policy change are gated the same way
+            if (cached.result) cached.result.status = this.verdictEvaluator.evaluateHost(cached.result).status;
+            return cached.result;
         }
         
-        // Check rate limit
-        if (this.isRateLimited()) {
-            this.log("Rate limited, waiting...");
-            return;
+        // Raw IPv4/IPv6 hosts use the IP address endpoint
+        const isIp = /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith("[");
+        const hostId = isIp ? host.replace(/^\[|\]$/g, '') : host;
+        const endpoint = isIp ? `/ip_addresses/${encodeURIComponent(hostId)}` : `/domains/${encodeURIComponent(hostId)}`;
+        
+        const response = await this.vtRequest(endpoint, { method: 'GET' });
+        
+        if (response.status === 404) {
+            this.domainCache.set(host, 'unknown', null);
+            return null;
         }
         
-        const url = this.requestQueue.shift();
-        this.log(`Processing URL: ${url}`);
+        if (!response.ok) {
+            throw new Error(`${isIp ? 'IP address' : 'Domain'} lookup failed with status ${response.status}`);
+        }
         
-        try {
-            await this.scanWithVirusTotal(url);
-            
-            // Track API request time for rate limiting
-            this.requestTimes.push(Date.now());
-        } catch (err) {
-            this.log(`ERROR: Failed to scan URL: ${err.message}`);
-            
-            // Update UI to show error
-            this.processedUrls.set(url, 'error');
-            this.updateLinkElements(url, "error");
+        const attributes = (await response.json())?.data?.attributes || {};
+        const stats = attributes.last_analysis_stats || {};
+        const certificateIssuer = attributes.last_https_certificate?.issuer;
+        
+        const hostResult = {
+            host: hostId,
+            type: isIp ? 'ip' : 'domain',
+            malicious: stats.malicious || 0,
+            suspicious: stats.suspicious || 0,
+            harmless: stats.harmless || 0,
+            totalEngines: Object.keys(attributes.last_analysis_results || {}).length,
+            engines: this.getFlaggingEngines(attributes.last_analysis_results || {}),
+            reputation: typeof attributes.reputation === "number" ? attributes.reputation : null,
+            creationDate: attributes.creation_date || null,
+            registrar: attributes.registrar || null,
+            dnsRecords: (attributes.last_dns_records || []).slice(0, 5).map(record => `${record.type} ${record.value}`),
+            certificateIssuer: certificateIssuer ? (certificateIssuer.O || certificateIssuer.CN || null) : null,
+            asOwner: attributes.as_owner || null,
+            country: attributes.country || null
+        };
+        
+        hostResult.status = this.verdictEvaluator.evaluateHost(hostResult).status;
+        
+        this.log(`Reputation for ${host}: ${hostResult.status} (${hostResult.malicious}/${hostResult.totalEngines})`);
+        this.domainCache.set(host, hostResult.status, hostResult);
+        return hostResult;
+    }
+    
+    // Get the most severe of several statuses
+    getWorstStatus(...statuses) {
+        let worst = null;
+        
+        for (const status of statuses) {
+            if (!status) continue;
+            if (!worst || this.STATUS_SEVERITY.indexOf(status) > this.STATUS_SEVERITY.indexOf(worst)) {
+                worst = status;
+            }
         }
+        
+        return worst;
     }
     
-    // Check if rate limited
-    isRateLimited() {
-        const now = Date.now();
+    // Describe how long ago a Unix timestamp (in seconds) was, e.g. "3 days ago"
+    formatTimeAgo(timestamp) {
+        const seconds = Math.max(0, Date.now() / 1000 - timestamp);
+        const units = [
+            { name: "year", seconds: 31536000 },
+            { name: "month", seconds: 2592000 },
+            { name: "day", seconds: 86400 },
+            { name: "hour", seconds: 3600 },
+            { name: "minute", seconds: 60 }
+        ];
         
-        // Remove timestamps older than the time window
-        this.requestTimes = this.requestTimes.filter(time => now - time < this.TIME_WINDOW);
+        for (const unit of units) {
+            const count = Math.floor(seconds / unit.seconds);
+            if (count >= 1) {
+                return `${count} ${unit.name}${count !== 1 ? 's' : ''} ago`;
+            }
+        }
         
-        // Check if we're within the rate limit
-        return this.requestTimes.length >= this.RATE_LIMIT;
+        return "just now";
     }
     
-    // Scan a URL with VirusTotal
-    async scanWithVirusTotal(url) {
-        if (!this.apiKey) {
-            this.log("ERROR: API key not set");
+    // Check if a result's last VirusTotal analysis is older than the stale age
+    isStaleResult(scanResult) {
+        if (!this.staleAfterDays || !scanResult || !scanResult.lastScan || scanResult.providerOnly || scanResult.notFound) return false;
+        return Date.now() / 1000 - scanResult.lastScan > this.staleAfterDays * 86400;
+    }
+    
+    // Mark a scan button when its result is stale
+    updateStaleMarker(scanButton, scanResult) {
+        if (this.isStaleResult(scanResult)) {
+            scanButton.dataset.vtStale = "true";
+            scanButton.title = `Last analysed by VirusTotal ${this.formatTimeAgo(scanResult.lastScan)} - hover the link to re-analyse`;
+        } else if (scanButton.dataset.vtStale) {
+            delete scanButton.dataset.vtStale;
+            scanButton.title = 'Scan with VirusTotal';
+        }
+    }
+    
+    // Ask VirusTotal to analyse a known URL again and track the new analysis to completion
+    async reanalyseUrl(url) {
+        if (this.pendingAnalyses.has(url)) {
+            BdApi.showToast("This link is already being analysed", { type: "info" });
             return;
         }
         
+        // Keep what the old report knew that a bare analysis doesn't include
+        const previous = this.getCachedResult(url)?.result || {};
+        const carried = ["host", "redirectChain", "finalUrl", "categories", "reputation", "votes", "title", "lastFinalUrl", "httpCode", "tags", "threatNames"];
+        const extra = Object.fromEntries(carried.filter(key => previous[key] !== undefined).map(key => [key, previous[key]]));
+        
+        const encodedUrl = btoa(url).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        
         try {
-            // Encode the URL for the API request
-            const encodedUrl = btoa(url).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-            
-            // Check if the URL has already been analyzed
-            const response = await BdApi.Net.fetch(`https://www.virustotal.com/api/v3/urls/${encodedUrl}`, {
-                method: 'GET',
-                headers: {
-                    'x-apikey': this.apiKey
-                }
+            const response = await this.vtRequest(`/urls/${encodedUrl}/analyse`, {
+                method: 'POST'
             });
             
-            if (response.status === 404) {
-                // URL not found, submit it for analysis
-                this.log(`URL not analyzed before, submitting: ${url}`);
-                await this.submitUrlForAnalysis(url);
-                
-                // Re-queue for scanning after a delay
-                setTimeout(() => {
-                    this.queueForScanning(url);
-                }, 30000); // 30 second delay
-                
-                return;
+            if (!response.ok) {
+                throw new Error(`Re-analysis request failed with status ${response.status}`);
             }
             
-            if (!response.ok) {
-                throw new Error(`API request failed with status ${response.status}`);
+            const result = await response.json();
+            const analysisId = result?.data?.id;
+            if (!analysisId) {
+                throw new Error("Re-analysis request returned no analysis ID");
             }
             
-            const data = await response.json();
-            this.processVirusTotalResults(url, data);
+            this.log(`URL submitted for re-analysis: ${url} (analysis ${analysisId})`);
+            BdApi.showToast("Re-analysing link with VirusTotal...", { type: "info" });
+            
+            this.processedUrls.set(url, 'analysing');
+            this.updateLinkElements(url, "analysing");
+            this.pollAnalysis(url, analysisId, extra);
             
         } catch (err) {
-            this.log(`ERROR: Scan failed: ${err.message}`);
-            this.processedUrls.set(url, 'error');
-            this.updateLinkElements(url, "error");
-            throw err;
+            this.log(`ERROR: Re-analysis failed for ${url}: ${err.message}`);
+            BdApi.showToast(`Re-analysis failed: ${err.message}`, { type: "error" });
         }
     }
     
@@ -2325,10 +8851,9 @@ module.exports = class VirusTotalScanner {
             const urlParams = new URLSearchParams();
             urlParams.append('url', url);
             
-            const response = await BdApi.Net.fetch('https://www.virustotal.com/api/v3/urls', {
+            const response = await this.vtRequest('/urls', {
                 method: 'POST',
                 headers: {
-                    'x-apikey': this.apiKey,
                     'Content-Type': 'application/x-www-form-urlencoded'
                 },
                 body: urlParams.toString()
@@ -2338,9 +8863,18 @@ module.exports = class VirusTotalScanner {
                 throw new Error(`URL submission failed with status ${response.status}`);
             }
             
-            this.log(`URL submitted for analysis: ${url}`);
+            const result = await response.json();
+            const analysisId = result?.data?.id;
+            if (!analysisId) {
+                throw new Error("URL submission returned no analysis ID");
+            }
+            
+            this.log(`URL submitted for analysis: ${url} (analysis ${analysisId})`);
+            return analysisId;
             
         } catch (err) {
+            if (err.rateLimited) throw err;
+            
             this.log(`ERROR: URL submission failed: ${err.message}`);
             this.processedUrls.set(url, 'error');
             this.updateLinkElements(url, "error");
@@ -2348,8 +8882,138 @@ module.exports = class VirusTotalScanner {
         }
     }
     
-    // Process VirusTotal results
-    processVirusTotalResults(url, data) {
+    // Poll an analysis with exponential backoff until it is completed, merging any extra fields into the result
+    pollAnalysis(url, analysisId, extra = {}, startedAt = Date.now(), attempt = 0) {
+        const delay = Math.min(this.ANALYSIS_POLL_DELAY * Math.pow(2, attempt), this.ANALYSIS_POLL_MAX_DELAY);
+        
+        // Give up once the next poll would go past the timeout
+        if (Date.now() + delay - startedAt > this.ANALYSIS_TIMEOUT) {
+            this.failAnalysis(url, `VirusTotal analysis did not complete within ${Math.round(this.ANALYSIS_TIMEOUT / 60000)} minutes`);
+            return;
+        }
+        
+        const timer = setTimeout(async () => {
+            if (!this.initialized || !this.enabled) {
+                this.pendingAnalyses.delete(url);
+                return;
+            }
+            
+            try {
+                const analysis = await this.fetchAnalysis(analysisId);
+                
+                const status = analysis?.data?.attributes?.status;
+                this.log(`Analysis ${analysisId} for ${url} is ${status}`);
+                
+                if (status === "completed") {
+                    this.finishAnalysis(url);
+                    this.processVirusTotalResults(url, this.analysisToUrlReport(analysis), extra);
+                } else {
+                    this.pollAnalysis(url, analysisId, extra, startedAt, attempt + 1);
+                }
+            } catch (err) {
+                // Rate limited - try again without counting it as an attempt
+                if (err.rateLimited) {
+                    this.pollAnalysis(url, analysisId, extra, startedAt, attempt);
+                    return;
+                }
+                
+                // Stopped while waiting for capacity
+                if (!this.initialized || !this.enabled) {
+                    this.pendingAnalyses.delete(url);
+                    return;
+                }
+                
+                this.failAnalysis(url, err.message);
+            }
+        }, delay);
+        
+        const isNew = !this.pendingAnalyses.has(url);
+        this.pendingAnalyses.set(url, { analysisId, timer, startedAt, extra });
+        if (isNew) this.savePendingAnalyses();
+    }
+    
+    // Fetch an analysis object
+    async fetchAnalysis(analysisId) {
+        const response = await this.vtRequest(`/analyses/${encodeURIComponent(analysisId)}`, {
+            method: 'GET'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Analysis request failed with status ${response.status}`);
+        }
+        
+        return response.json();
+    }
+    
+    // Convert a completed analysis into the same shape as a URL report
+    analysisToUrlReport(analysis) {
+        const attributes = analysis.data.attributes;
+        
+        return {
+            data: {
+                attributes: {
+                    last_analysis_results: attributes.results || {},
+                    last_analysis_stats: attributes.stats || {},
+                    last_analysis_date: attributes.date
+                }
+            }
+        };
+    }
+    
+    // Stop tracking an analysis and show the error on the link
+    failAnalysis(url, message) {
+        this.finishAnalysis(url);
+        this.log(`ERROR: Analysis failed for ${url}: ${message}`);
+        
+        this.processedUrls.set(url, 'error');
+        this.updateLinkElements(url, "error");
+        
+        BdApi.showToast(`Scan failed: ${message}`, { type: "error", timeout: 5000 });
+    }
+    
+    // Get the engines that flagged a result as malicious or suspicious
+    getFlaggingEngines(results) {
+        return {
+            malicious: Object.entries(results)
+                .filter(([_, result]) => result.category === 'malicious')
+                .map(([engine, _]) => engine),
+            suspicious: Object.entries(results)
+                .filter(([_, result]) => result.category === 'suspicious')
+                .map(([engine, _]) => engine)
+        };
+    }
+    
+    // Get each flagging engine's threat name, method and category, malicious ones first
+    getEngineResults(results) {
+        return Object.entries(results)
+            .filter(([_, result]) => result.category === 'malicious' || result.category === 'suspicious')
+            .map(([engine, result]) => ({
+                engine: result.engine_name || engine,
+                category: result.category,
+                result: result.result || null,
+                method: result.method || null
+            }))
+            .sort((a, b) => (a.category === 'malicious' ? 0 : 1) - (b.category === 'malicious' ? 0 : 1));
+    }
+    
+    // Get the report metadata VirusTotal keeps for a URL or file, leaving out what it didn't send
+    getReportMetadata(attributes) {
+        const votes = attributes.total_votes;
+        
+        return {
+            categories: [...new Set(Object.values(attributes.categories || {}))],
+            reputation: typeof attributes.reputation === "number" ? attributes.reputation : null,
+            votes: votes ? { harmless: votes.harmless || 0, malicious: votes.malicious || 0 } : null,
+            title: attributes.title || null,
+            lastFinalUrl: attributes.last_final_url || null,
+            httpCode: attributes.last_http_response_code || null,
+            tags: attributes.tags || [],
+            threatNames: attributes.threat_names || []
+        };
+    }
+    
+    // Process VirusTotal results, with any extra fields (such as file details) merged into the result
+    processVirusTotalResults(url, data, extra = {}) {
         if (!data || !data.data || !data.data.attributes || !data.data.attributes.last_analysis_results) {
             this.log("ERROR: Invalid response data");
             this.processedUrls.set(url, 'error');
@@ -2357,8 +9021,9 @@ module.exports = class VirusTotalScanner {
             return;
         }
         
-        const results = data.data.attributes.last_analysis_results;
-        const stats = data.data.attributes.last_analysis_stats;
+        const attributes = data.data.attributes;
+        const results = attributes.last_analysis_results;
+        const stats = attributes.last_analysis_stats;
         
         // Calculate totals
         const malicious = stats.malicious || 0;
@@ -2375,36 +9040,110 @@ module.exports = class VirusTotalScanner {
             suspicious,
             harmless,
             totalEngines,
-            engines: {
-                malicious: Object.entries(results)
-                    .filter(([_, result]) => result.category === 'malicious')
-                    .map(([engine, _]) => engine),
-                suspicious: Object.entries(results)
-                    .filter(([_, result]) => result.category === 'suspicious')
-                    .map(([engine, _]) => engine)
-            },
-            lastScan: data.data.attributes.last_analysis_date,
-            vtLink: `https://www.virustotal.com/gui/url/${btoa(url).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}/detection`
-        };
-        
-        // Update status based on results
-        let status;
-        if (malicious > 0) {
-            status = "malicious";
-        } else if (suspicious >= this.threshold) {
-            status = "suspicious";
-        } else {
-            status = "clean";
+            engines: this.getFlaggingEngines(results),
+            engineResults: this.getEngineResults(results),
+            ...this.getReportMetadata(attributes),
+            lastScan: attributes.last_analysis_date,
+            vtLink: `https://www.virustotal.com/gui/url/${btoa(url).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}/detection`,
+            ...extra
+        };
+        
+        // Use the redirect chain VirusTotal saw unless we resolved one ourselves
+        if (!scanResult.redirectChain && attributes.last_final_url && attributes.last_final_url !== url) {
+            scanResult.redirectChain = this.getVirusTotalRedirectChain(url, attributes);
+            scanResult.finalUrl = attributes.last_final_url;
+        }
+        
+        // VirusTotal's own verdict under the verdict policy
+        const status = this.verdictEvaluator.evaluate(scanResult).status;
+        
+        // Merge with the other providers and finish up
+        this.finalizeScanResult(url, scanResult, status);
+    }
+    
+    // Check a link with the providers other than VirusTotal, for when VirusTotal is turned off
+    async scanWithProviders(url) {
+        await this.scanProviders.checkAsync(url);
+        this.finalizeScanResult(url, this.createProviderResult(url), null);
+    }
+    
+    // Create an empty result for a verdict that comes from providers other than VirusTotal
+    createProviderResult(url) {
+        return {
+            url,
+            malicious: 0,
+            suspicious: 0,
+            harmless: 0,
+            totalEngines: 0,
+            engines: { malicious: [], suspicious: [] },
+            lastScan: Date.now() / 1000,
+            vtLink: null,
+            providerOnly: true
+        };
+    }
+    
+    // Re-merge a stored result once a slow provider has answered
+    refreshProviderVerdicts(url) {
+        const cached = this.getCachedResult(url);
+        if (!cached || !cached.result || this.isPendingStatus(this.processedUrls.get(url))) return;
+        
+        const vtStatus = cached.result.vtStatus !== undefined ? cached.result.vtStatus : cached.status;
+        this.finalizeScanResult(url, cached.result, vtStatus, true);
+    }
+    
+    // Merge every provider's verdict with the host, lookalike and redirect checks, then store and show the result
+    finalizeScanResult(url, scanResult, vtStatus, isRefresh = false) {
+        const previous = this.processedUrls.get(url);
+        
+        // Which provider said what, merged by the configured policy
+        scanResult.vtStatus = vtStatus;
+        scanResult.providers = this.scanProviders.collectVerdicts(url, scanResult, vtStatus);
+        let status = this.scanProviders.merge(scanResult.providers);
+        
+        // A bad domain or IP makes the link at least as bad
+        if (scanResult.host) {
+            status = this.getWorstStatus(status, scanResult.host.status);
         }
         
-        // Store the status for this URL
+        // Lookalikes of protected domains stay flagged even when VirusTotal has nothing on them yet,
+        // while brand-name-only matches are kept as a hint for the tooltip
+        const lookalike = this.lookalikeDetector.check(url);
+        if (lookalike) {
+            scanResult.lookalike = lookalike;
+            if (this.lookalikeDetector.isVerdict(lookalike)) {
+                status = this.getWorstStatus(status, "lookalike");
+            }
+        }
+        
+        // The link is coloured by the worst verdict in its redirect chain
+        scanResult.ownStatus = status;
+        if (scanResult.redirectChain && scanResult.redirectChain.length > 1) {
+            status = this.getWorstStatus(status, this.followRedirectChain(url, scanResult.redirectChain));
+        }
+        
+        // Store the status for this URL and persist the full result
         this.processedUrls.set(url, status);
+        this.resultCache.set(url, status, scanResult);
+        
+        // Log new scans, not late provider answers for old ones
+        if (!isRefresh) {
+            this.scanHistory.record(url, status, scanResult, this.getAnyLinkElement(url));
+            
+            for (const element of this.linkElements.get(url) || []) {
+                this.authorTracker.recordLink(url, status, element);
+            }
+        }
+        
+        // A late provider answer that doesn't change anything needs no UI update
+        if (isRefresh && status === previous) return;
         
         // Update UI based on results
         this.updateLinkElements(url, status, scanResult);
+        this.updateRedirectParents(url, status);
+        this.notificationCenter.notify(url, status, scanResult, this.getAnyLinkElement(url));
         
         // Process file for tracking if malicious or suspicious
-        if (status === "malicious" || status === "suspicious") {
+        if ((status === "malicious" || status === "suspicious") && status !== previous) {
             try {
                 if (this.fileTracker) {
                     this.log(`Processing file for tracking: ${url}`);
@@ -2431,11 +9170,11 @@ module.exports = class VirusTotalScanner {
                 continue;
             }
             
-            // Remove scanning class
-            element.classList.remove("vt-link-scanning");
+            // Remove scanning classes
+            element.classList.remove("vt-link-scanning", "vt-link-analysing");
             
             // Remove existing status classes
-            element.classList.remove("vt-link-malicious", "vt-link-suspicious", "vt-link-clean");
+            element.classList.remove("vt-link-malicious", "vt-link-blocklisted", "vt-link-suspicious", "vt-link-lookalike", "vt-link-clean", "vt-link-unknown");
             
             // Update status
             switch (status) {
@@ -2457,22 +9196,43 @@ module.exports = class VirusTotalScanner {
                     this.addTooltip(element, scanResult);
                     break;
                     
+                case "unknown":
+                    element.classList.add("vt-link-unknown");
+                    // Add tooltip for details
+                    this.addTooltip(element, scanResult);
+                    break;
+                    
+                case "blocklisted":
+                    element.classList.add("vt-link-blocklisted");
+                    // Add tooltip for details
+                    this.addTooltip(element, scanResult);
+                    break;
+                    
+                case "lookalike":
+                    element.classList.add("vt-link-lookalike");
+                    // Add tooltip for details
+                    this.addTooltip(element, scanResult);
+                    break;
+                    
+                case "analysing":
+                    element.classList.add("vt-link-analysing");
+                    break;
+                    
                 case "error":
                 case "scanning":
                     // Clear any classes
                     break;
             }
             
+            // Links in embed cards colour the whole card
+            this.updateEmbedVerdict(element);
+            
             // Update scan button if it exists
             const scanButton = element.nextSibling;
             if (scanButton && scanButton.classList && scanButton.classList.contains('vt-scan-button')) {
                 scanButton.textContent = this.getScanButtonText(status);
                 scanButton.style.backgroundColor = this.getScanButtonColor(status);
-                
-                // For malicious URLs, also show notification
-                if (status === "malicious" && scanResult) {
-                    this.showMaliciousNotification(url, scanResult);
-                }
+                this.updateStaleMarker(scanButton, scanResult);
             }
         }
     }
@@ -2513,33 +9273,211 @@ module.exports = class VirusTotalScanner {
                 content += `<div style="color: #faa61a; font-weight: bold;">⚠️ Suspicious: ${scanResult.suspicious}/${scanResult.totalEngines}</div>`;
             }
             
-            if (scanResult.malicious === 0 && scanResult.suspicious < this.threshold) {
+            if (scanResult.notFound) {
+                content += `<div style="color: #b9bbbe; font-weight: bold;">? Not found on VirusTotal</div>`;
+            } else if (!scanResult.providerOnly && this.verdictEvaluator.evaluate(scanResult).status === 'clean') {
                 content += `<div style="color: #43b581; font-weight: bold;">✓ Clean: ${scanResult.harmless}/${scanResult.totalEngines}</div>`;
+                
+                if (scanResult.malicious > 0 || scanResult.suspicious > 0) {
+                    content += `<div style="font-size: 12px; color: var(--text-muted);">Detections are below the verdict policy</div>`;
+                }
+            }
+            
+            // What each provider said
+            if (scanResult.providers && (scanResult.providerOnly || scanResult.providers.length > 1)) {
+                content += `<div style="margin-top: 6px; padding-top: 6px; border-top: 1px solid rgba(255, 255, 255, 0.1); font-size: 12px;">`;
+                content += `<div style="font-weight: bold;">Providers:</div>`;
+                if (scanResult.providers.length === 0) {
+                    content += `<div style="color: var(--text-muted);">No provider has an opinion on this link</div>`;
+                }
+                scanResult.providers.forEach(verdict => {
+                    const verdictColor = this.getScanButtonColor(verdict.status);
+                    content += `<div>${this.escapeHtml(verdict.name)}: <span style="color: ${verdictColor}; font-weight: bold;">${this.getScanButtonText(verdict.status)}</span>${verdict.detail ? ` - ${this.escapeHtml(verdict.detail)}` : ''}${verdict.weight === 0 ? ' (weight 0)' : ''}</div>`;
+                });
+                content += `</div>`;
+            }
+            
+            // Local risk score for this link
+            if (element._vtRisk && element._vtRisk.score > 0) {
+                content += `<div style="margin-top: 4px; font-size: 12px;"><span style="font-weight: bold;">Risk score: ${element._vtRisk.score}/100</span> - ${element._vtRisk.signals.map(signal => this.escapeHtml(signal.label)).join("; ")}</div>`;
+            }
+            
+            // Lookalike of a protected domain
+            if (this.lookalikeDetector.isVerdict(scanResult.lookalike)) {
+                content += `<div style="margin-top: 4px; color: #e67e22; font-weight: bold;">⚠ Lookalike domain: ${this.escapeHtml(scanResult.lookalike.reason)}</div>`;
+            } else if (scanResult.lookalike) {
+                content += `<div style="margin-top: 4px; color: #faa61a;">Note: ${this.escapeHtml(scanResult.lookalike.reason)}</div>`;
+            }
+            
+            // Masked link whose text shows a different domain
+            if (element._vtMismatch) {
+                content += `<div style="margin-top: 4px; color: #faa61a; font-weight: bold;">⚠ Link text shows ${this.escapeHtml(element._vtMismatch.shownHost)} but opens ${this.escapeHtml(element._vtMismatch.realHost)}</div>`;
+            }
+            
+            // Variants of a link share one result, so show which form was scanned
+            const linkUrl = this.getLinkUrl(element);
+            if (!scanResult.fileHash && linkUrl && linkUrl !== scanResult.url) {
+                content += `<div style="margin-top: 4px; font-size: 11px; color: var(--text-muted); word-break: break-all;">Scanned as: ${this.escapeHtml(scanResult.url)}</div>`;
+            }
+            
+            // File details for attachments
+            if (scanResult.fileHash) {
+                const fileName = this.escapeHtml(scanResult.fileName || 'attachment');
+                const fileType = scanResult.fileType ? `${this.escapeHtml(scanResult.fileType)}, ` : '';
+                content += `<div style="margin-top: 4px; font-size: 12px;">File: ${fileName} (${fileType}${this.formatBytes(scanResult.fileSize)})</div>`;
+                content += `<div style="font-size: 11px; color: var(--text-muted); word-break: break-all;">SHA-256: ${scanResult.fileHash}</div>`;
+                
+                if (scanResult.threatLabel) {
+                    content += `<div style="margin-top: 4px; font-size: 12px; color: #f04747;">Threat label: ${this.escapeHtml(scanResult.threatLabel)}</div>`;
+                }
+            }
+            
+            // What VirusTotal knows about the page or file
+            const metadata = [];
+            if (scanResult.title) metadata.push(`Page title: ${this.escapeHtml(scanResult.title)}`);
+            if (scanResult.lastFinalUrl && scanResult.lastFinalUrl !== scanResult.url && !scanResult.redirectChain) metadata.push(`Final URL: ${this.escapeHtml(scanResult.lastFinalUrl)}`);
+            if (scanResult.httpCode) metadata.push(`HTTP status: ${scanResult.httpCode}`);
+            if (scanResult.categories && scanResult.categories.length > 0) metadata.push(`Categories: ${scanResult.categories.map(c => this.escapeHtml(c)).join(", ")}`);
+            if (scanResult.threatNames && scanResult.threatNames.length > 0) metadata.push(`Threat names: ${scanResult.threatNames.map(t => this.escapeHtml(t)).join(", ")}`);
+            if (scanResult.tags && scanResult.tags.length > 0) metadata.push(`Tags: ${scanResult.tags.map(t => this.escapeHtml(t)).join(", ")}`);
+            if (scanResult.reputation !== null && scanResult.reputation !== undefined) {
+                const votes = scanResult.votes ? ` (${scanResult.votes.harmless} harmless, ${scanResult.votes.malicious} malicious votes)` : '';
+                metadata.push(`Community score: ${scanResult.reputation}${votes}`);
+            }
+            
+            if (metadata.length > 0) {
+                content += `<div style="margin-top: 6px; padding-top: 6px; border-top: 1px solid rgba(255, 255, 255, 0.1); font-size: 12px; word-break: break-all;">`;
+                metadata.forEach(line => {
+                    content += `<div>${line}</div>`;
+                });
+                content += `</div>`;
+            }
+            
+            // Domain or IP address reputation
+            if (scanResult.host) {
+                const host = scanResult.host;
+                const hostColor = host.status === "malicious" ? "#f04747" : host.status === "suspicious" ? "#faa61a" : "#43b581";
+                const details = [];
+                
+                if (host.reputation !== null) details.push(`Reputation: ${host.reputation}`);
+                if (host.creationDate) details.push(`Registered ${this.formatTimeAgo(host.creationDate)}`);
+                if (host.registrar) details.push(`Registrar: ${this.escapeHtml(host.registrar)}`);
+                if (host.asOwner) details.push(`Network: ${this.escapeHtml(host.asOwner)}${host.country ? ` (${this.escapeHtml(host.country)})` : ''}`);
+                if (host.certificateIssuer) details.push(`Certificate: ${this.escapeHtml(host.certificateIssuer)}`);
+                
+                content += `<div style="margin-top: 6px; padding-top: 6px; border-top: 1px solid rgba(255, 255, 255, 0.1); font-size: 12px;">`;
+                content += `<div style="color: ${hostColor}; font-weight: bold;">${host.type === 'ip' ? 'IP' : 'Domain'} ${this.escapeHtml(host.host)}: ${host.malicious + host.suspicious}/${host.totalEngines} detections</div>`;
+                details.forEach(detail => {
+                    content += `<div>${detail}</div>`;
+                });
+                if (host.dnsRecords && host.dnsRecords.length > 0) {
+                    content += `<div style="color: var(--text-muted); word-break: break-all;">DNS: ${host.dnsRecords.map(r => this.escapeHtml(r)).join(", ")}</div>`;
+                }
+                content += `</div>`;
             }
             
-            content += `<div style="margin-top: 4px;">Scan date: ${new Date(scanResult.lastScan * 1000).toLocaleString()}</div>`;
+            // Redirect chain with a verdict for each hop
+            if (scanResult.redirectChain && scanResult.redirectChain.length > 1) {
+                content += `<div style="margin-top: 6px; padding-top: 6px; border-top: 1px solid rgba(255, 255, 255, 0.1); font-size: 12px;">`;
+                content += `<div style="font-weight: bold;">Redirects (${scanResult.redirectChain.length - 1} hop${scanResult.redirectChain.length !== 2 ? 's' : ''}):</div>`;
+                scanResult.redirectChain.forEach((hop, index) => {
+                    const hopStatus = index === 0 ? (scanResult.ownStatus || 'clean') : (this.processedUrls.get(this.sanitizeUrl(hop)) || 'not scanned');
+                    const hopColor = this.getScanButtonColor(hopStatus);
+                    content += `<div style="word-break: break-all; margin-top: 2px;">${index + 1}. ${this.escapeHtml(hop)} <span style="color: ${hopColor}; font-weight: bold;">${hopStatus === 'not scanned' ? 'Not scanned' : this.getScanButtonText(hopStatus)}</span></div>`;
+                });
+                content += `</div>`;
+            }
             
-            if (scanResult.engines.malicious.length > 0) {
-                content += `<div style="margin-top: 4px; font-size: 12px;">Malicious engines: ${scanResult.engines.malicious.join(", ")}</div>`;
+            content += `<div style="margin-top: 4px;">${scanResult.notFound ? 'Checked' : 'Scan date'}: ${new Date(scanResult.lastScan * 1000).toLocaleString()}</div>`;
+            
+            // Old analyses may no longer reflect what the link serves
+            const stale = this.isStaleResult(scanResult);
+            if (stale) {
+                content += `<div style="color: #faa61a; font-size: 12px;">⏱ Last analysed ${this.formatTimeAgo(scanResult.lastScan)} - this verdict may be out of date</div>`;
             }
             
-            if (scanResult.engines.suspicious.length > 0) {
-                content += `<div style="margin-top: 4px; font-size: 12px;">Suspicious engines: ${scanResult.engines.suspicious.join(", ")}</div>`;
+            // Mark engines the verdict policy trusts or ignores
+            const formatEngines = engines => engines.map(engine => {
+                const role = this.verdictEvaluator.getEngineRole(engine);
+                return `${this.escapeHtml(engine)}${role ? ` (${role})` : ''}`;
+            }).join(", ");
+            
+            if (scanResult.engineResults) {
+                // Threat names per engine, e.g. "Phishing (Fortinet)"
+                const formatDetections = category => scanResult.engineResults
+                    .filter(detection => detection.category === category)
+                    .map(detection => {
+                        const role = this.verdictEvaluator.getEngineRole(detection.engine);
+                        const name = detection.result && detection.result !== category ? detection.result : category;
+                        return `${this.escapeHtml(name)} (${this.escapeHtml(detection.engine)}${role ? `, ${role}` : ''})`;
+                    })
+                    .join(", ");
+                
+                if (scanResult.engines.malicious.length > 0) {
+                    content += `<div style="margin-top: 4px; font-size: 12px;">Malicious: ${formatDetections('malicious')}</div>`;
+                }
+                
+                if (scanResult.engines.suspicious.length > 0) {
+                    content += `<div style="margin-top: 4px; font-size: 12px;">Suspicious: ${formatDetections('suspicious')}</div>`;
+                }
+            } else {
+                if (scanResult.engines.malicious.length > 0) {
+                    content += `<div style="margin-top: 4px; font-size: 12px;">Malicious engines: ${formatEngines(scanResult.engines.malicious)}</div>`;
+                }
+                
+                if (scanResult.engines.suspicious.length > 0) {
+                    content += `<div style="margin-top: 4px; font-size: 12px;">Suspicious engines: ${formatEngines(scanResult.engines.suspicious)}</div>`;
+                }
             }
             
             // Add the view report button instead of a link
-            content += `<div style="margin-top: 6px; text-align: center;">
-                <button class="vt-report-button" style="
-                    background-color: var(--brand-experiment, #5865f2);
-                    color: white;
-                    border: none;
-                    border-radius: 3px;
-                    padding: 5px 10px;
-                    font-size: 12px;
-                    cursor: pointer;
-                    width: 100%;
-                ">View full report on VirusTotal</button>
-            </div>`;
+            if (scanResult.vtLink) {
+                content += `<div style="margin-top: 6px; text-align: center;">
+                    <button class="vt-report-button" style="
+                        background-color: var(--brand-experiment, #5865f2);
+                        color: white;
+                        border: none;
+                        border-radius: 3px;
+                        padding: 5px 10px;
+                        font-size: 12px;
+                        cursor: pointer;
+                        width: 100%;
+                    ">View full report on VirusTotal</button>
+                </div>`;
+            }
+            
+            // Links can be analysed again to refresh an old verdict
+            if (scanResult.vtLink && !scanResult.fileHash && this.apiKey) {
+                content += `<div style="margin-top: 6px; text-align: center;">
+                    <button class="vt-reanalyse-button" style="
+                        background-color: ${stale ? '#faa61a' : '#4f545c'};
+                        color: white;
+                        border: none;
+                        border-radius: 3px;
+                        padding: 5px 10px;
+                        font-size: 12px;
+                        cursor: pointer;
+                        width: 100%;
+                    ">Re-analyse</button>
+                </div>`;
+            }
+            
+            // Unknown attachments can be uploaded, if enabled
+            const canUpload = scanResult.notFound && scanResult.fileHash && this.fileUpload.enabled;
+            if (canUpload) {
+                content += `<div style="margin-top: 6px; text-align: center;">
+                    <button class="vt-upload-button" style="
+                        background-color: #4f545c;
+                        color: white;
+                        border: none;
+                        border-radius: 3px;
+                        padding: 5px 10px;
+                        font-size: 12px;
+                        cursor: pointer;
+                        width: 100%;
+                    ">Upload file to VirusTotal…</button>
+                </div>`;
+            }
             
             tooltip.innerHTML = content;
             
@@ -2552,6 +9490,28 @@ module.exports = class VirusTotalScanner {
                         window.open(scanResult.vtLink, '_blank');
                     });
                 }
+                
+                const reanalyseButton = tooltip.querySelector('.vt-reanalyse-button');
+                if (reanalyseButton) {
+                    reanalyseButton.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        tooltip.remove();
+                        this.reanalyseUrl(scanResult.url);
+                    });
+                }
+                
+                const uploadButton = tooltip.querySelector('.vt-upload-button');
+                if (uploadButton) {
+                    uploadButton.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        tooltip.remove();
+                        this.offerFileUpload(scanResult.url, {
+                            sha256: scanResult.fileHash,
+                            name: scanResult.fileName,
+                            size: scanResult.fileSize
+                        }, element);
+                    });
+                }
             }, 0);
             
             // Position the tooltip - make sure it's visible in viewport
@@ -2603,7 +9563,7 @@ module.exports = class VirusTotalScanner {
             this.log(`Modifying tooltip for URL: ${scanResult.url}`);
             try {
                 if (this.fileTracker) {
-                    this.fileTracker.modifyTooltip(tooltip, scanResult.url, scanResult);
+                    this.fileTracker.modifyTooltip(tooltip, scanResult.fileHash || scanResult.url, scanResult);
                 } else {
                     this.log("ERROR: fileTracker is not initialized");
                 }
@@ -2632,13 +9592,13 @@ module.exports = class VirusTotalScanner {
         };
     }
 
-    // Show notification for malicious links
-    showMaliciousNotification(url, scanResult) {
-        if (!scanResult) return;
-        
-        BdApi.showToast(`Malicious link detected! (${scanResult.malicious}/${scanResult.totalEngines})`, {
-            type: "danger",
-            timeout: 5000
-        });
+    // Escape text from scan results before putting it into tooltip HTML
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 };